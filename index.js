@@ -16,6 +16,8 @@ let webClient = '';
 let apiKey = 'UNCONFIGURED';
 let authenticationToken = 'UNCONFIGURED';
 let Accessory, Service, Characteristic, UUIDGen;
+let CurrentPowerConsumption, Voltage, ElectricCurrent;
+let AdaptiveLightingController;
 
 module.exports = function (homebridge) {
     console.log("homebridge API version: " + homebridge.version);
@@ -28,6 +30,58 @@ module.exports = function (homebridge) {
     Characteristic = homebridge.hap.Characteristic;
     UUIDGen = homebridge.hap.uuid;
 
+    // Only available since homebridge 1.1
+    AdaptiveLightingController = homebridge.hap.AdaptiveLightingController;
+
+    // Custom characteristics for power monitoring devices, using the UUIDs known by the Eve app
+    CurrentPowerConsumption = class extends Characteristic {
+        constructor() {
+            super('Consumption', CurrentPowerConsumption.UUID);
+            this.setProps({
+                format: Characteristic.Formats.FLOAT,
+                unit: 'W',
+                minValue: 0,
+                maxValue: 100000,
+                minStep: 0.01,
+                perms: [Characteristic.Perms.READ, Characteristic.Perms.NOTIFY]
+            });
+            this.value = this.getDefaultValue();
+        }
+    };
+    CurrentPowerConsumption.UUID = 'E863F10D-079E-48FF-8F27-9C2605A29F52';
+
+    Voltage = class extends Characteristic {
+        constructor() {
+            super('Voltage', Voltage.UUID);
+            this.setProps({
+                format: Characteristic.Formats.FLOAT,
+                unit: 'V',
+                minValue: 0,
+                maxValue: 1000,
+                minStep: 0.01,
+                perms: [Characteristic.Perms.READ, Characteristic.Perms.NOTIFY]
+            });
+            this.value = this.getDefaultValue();
+        }
+    };
+    Voltage.UUID = 'E863F10A-079E-48FF-8F27-9C2605A29F52';
+
+    ElectricCurrent = class extends Characteristic {
+        constructor() {
+            super('Electric Current', ElectricCurrent.UUID);
+            this.setProps({
+                format: Characteristic.Formats.FLOAT,
+                unit: 'A',
+                minValue: 0,
+                maxValue: 100,
+                minStep: 0.01,
+                perms: [Characteristic.Perms.READ, Characteristic.Perms.NOTIFY]
+            });
+            this.value = this.getDefaultValue();
+        }
+    };
+    ElectricCurrent.UUID = 'E863F126-079E-48FF-8F27-9C2605A29F52';
+
     // For platform plugin to be considered as dynamic platform plugin,
     // registerPlatform(pluginName, platformName, constructor, dynamic), dynamic must be true
     homebridge.registerPlatform("homebridge-eWeLink", "eWeLink", eWeLink, true);
@@ -43,6 +97,9 @@ function eWeLink(log, config, api) {
     this.accessories = new Map();
     this.authenticationToken = config['authenticationToken'];
     this.devicesFromApi = new Map();
+    // Used by configureAccessory(), which is called for the cached accessories even when the initialization is skipped
+    this.groups = new Map();
+    this.serviceTypes = new Map();
 
     // platform.log(JSON.stringify(config, null, " "));
 
@@ -61,18 +118,34 @@ function eWeLink(log, config, api) {
     platform.log("Initialising eWeLink");
 
     // Groups configuration
-    this.groups = new Map();
     let configGroups = config['groups'] || null;
     if (configGroups) {
         if (Object.keys(configGroups).length > 0) {
             this.config.groups.forEach((group) => {
-                this.groups.set(group.deviceId, group);
+                let relayUp = group.relay_pulse || group.relay_up;
+                if (!group.deviceId && relayUp && relayUp.deviceId) {
+                    // A blind spanning two devices belongs to the device of its up relay by default
+                    group.deviceId = relayUp.deviceId;
+                }
+                // The group using the first relay of a device is identified by the device ID, the others by their first relay
+                let firstRelay = Math.min.apply(null, this.getGroupRelays(group));
+                let accessoryId = firstRelay > 1 ? group.deviceId + 'CH' + firstRelay : group.deviceId;
+                if (this.groups.has(accessoryId)) {
+                    platform.log('Group error ! Device ID : [%s] already has a group using relay %s. It will be skipped.', group.deviceId, firstRelay);
+                    return;
+                }
+                this.groups.set(accessoryId, group);
             });
         }
     }
 
     platform.log("Found %s group(s)", this.groups.size);
 
+    // Service types of the relays, by accessory ID (the device ID, followed by CH and the channel for multi-channel devices)
+    (config['serviceTypes'] || []).forEach((serviceType) => {
+        this.serviceTypes.set(serviceType.deviceId + (serviceType.channel ? 'CH' + serviceType.channel : ''), serviceType.type);
+    });
+
     if (api) {
         // Save the API object as plugin needs to register new accessory via this object
         this.api = api;
@@ -130,12 +203,12 @@ function eWeLink(log, config, api) {
 
                     body.forEach((device) => {
                         platform.apiKey = device.apikey;
-                        // Skip Sonoff Bridge as it is not supported by this plugin
-                        if (['RF_BRIDGE'].indexOf(platform.getDeviceTypeByUiid(device.uiid)) == -1) {
-                            platform.devicesFromApi.set(device.deviceid, device);
-                        }
+                        platform.devicesFromApi.set(device.deviceid, device);
                     });
 
+                    // The relays of some groups depend on the channels of the device
+                    platform.removeOverlappingGroups();
+
                     // Now we compare the cached devices against the web list
                     platform.log("Evaluating if devices need to be removed...");
 
@@ -151,15 +224,30 @@ function eWeLink(log, config, api) {
                         }
 
                         if (platform.devicesFromApi.has(realDeviceId) && (accessory.context.switches <= 1 || accessory.context.channel <= accessory.context.switches)) {
-                            if ((deviceId != realDeviceId) && platform.groups.has(realDeviceId)) {
+                            if (!platform.isGroupAccessory(accessory) && platform.isGroupedDevice(realDeviceId)) {
                                 platform.log('Device [%s], ID : [%s] is now grouped. It will be removed.', accessory.displayName, accessory.UUID);
                                 platform.removeAccessory(accessory);
-                            } else if ((deviceId == realDeviceId) && !platform.groups.has(realDeviceId)) {
+                            } else if (platform.getDeviceTypeByUiid(platform.devicesFromApi.get(realDeviceId).uiid) === 'ZIGBEE_MAIN_DEVICE') {
+                                platform.log('Device [%s], ID : [%s] is a Zigbee bridge. It will be removed.', accessory.displayName, accessory.UUID);
+                                platform.removeAccessory(accessory);
+                            } else if (platform.isGroupAccessory(accessory) && !platform.groups.has(deviceId)) {
                                 platform.log('Device [%s], ID : [%s] is now splitted. It will be removed.', accessory.displayName, accessory.UUID);
                                 platform.removeAccessory(accessory);
+                            } else if (platform.isGroupAccessory(accessory) && platform.groups.get(deviceId).type !== (accessory.context.groupType || 'blind')) {
+                                platform.log('Device [%s], ID : [%s] is now grouped as another type. It will be removed.', accessory.displayName, accessory.UUID);
+                                platform.removeAccessory(accessory);
                             } else if (platform.getDeviceTypeByUiid(platform.devicesFromApi.get(realDeviceId).uiid) === 'FAN_LIGHT' && accessory.context.channel !== null) {
                                 platform.log('Device [%s], ID : [%s] is now grouped as a fan. It will be removed.', accessory.displayName, accessory.UUID);
                                 platform.removeAccessory(accessory);
+                            } else if (platform.getPrimaryServiceType(platform.devicesFromApi.get(realDeviceId)) && !accessory.getService(platform.getPrimaryServiceType(platform.devicesFromApi.get(realDeviceId)))) {
+                                platform.log('Device [%s], ID : [%s] is now exposed with another service. It will be removed.', accessory.displayName, accessory.UUID);
+                                platform.removeAccessory(accessory);
+                            } else if (platform.hasRfChannelsChanged(platform.devicesFromApi.get(realDeviceId), accessory)) {
+                                platform.log('Device [%s], ID : [%s] has new RF channels. It will be removed.', accessory.displayName, accessory.UUID);
+                                platform.removeAccessory(accessory);
+                            } else if (platform.hasSensorTypeChanged(platform.devicesFromApi.get(realDeviceId), accessory)) {
+                                platform.log('Device [%s], ID : [%s] has a new sensor type. It will be removed.', accessory.displayName, accessory.UUID);
+                                platform.removeAccessory(accessory);
                             } else {
                                 platform.log('[%s] Device is registered with API. ID: (%s). Nothing to do.', accessory.displayName, accessory.UUID);
                             }
@@ -182,6 +270,12 @@ function eWeLink(log, config, api) {
                     // Now we compare the cached devices against the web list
                     function checkIfDeviceIsAlreadyConfigured(value, deviceId, map) {
 
+                        if (platform.getDeviceTypeByUiid(value.uiid) === 'ZIGBEE_MAIN_DEVICE') {
+                            // The ZBBridge has nothing to control, only its sub-devices are exposed
+                            platform.log('Device [%s], ID : [%s] is a Zigbee bridge. Only its sub-devices will be added.', value.name, deviceId);
+                            return;
+                        }
+
                         if (platform.accessories.has(deviceId)) {
 
                             platform.log('Device with ID [%s] is already configured. Ensuring that the configuration is current.', deviceId);
@@ -191,88 +285,143 @@ function eWeLink(log, config, api) {
                             let deviceType = platform.getDeviceTypeByUiid(deviceInformationFromWebApi.uiid);
                             let switchesAmount = platform.getDeviceChannelCount(deviceInformationFromWebApi);
 
-                            accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.SerialNumber, deviceInformationFromWebApi.extra.extra.mac);
+                            accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.SerialNumber, platform.getDeviceSerialNumber(deviceInformationFromWebApi));
                             accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Manufacturer, deviceInformationFromWebApi.productModel);
-                            accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Model, deviceInformationFromWebApi.extra.extra.model + ' (' + deviceInformationFromWebApi.uiid + ')');
+                            accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Model, platform.getDeviceModel(deviceInformationFromWebApi) + ' (' + deviceInformationFromWebApi.uiid + ')');
                             accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.FirmwareRevision, deviceInformationFromWebApi.params.fwVersion);
 
                             /* Add a lan client and add it to the context, if the feature is enabled  */
-                            if (this.config['experimentalLanClient']) {
-                                this.log.debug('Pre lan client config (checkIfDeviceIsAlreadyConfigured): %o', device);
-                                const lanClient = new LanClient(deviceInformationFromWebApi, this.log);
+                            if (platform.config['experimentalLanClient']) {
+                                platform.log.debug('Pre lan client config (checkIfDeviceIsAlreadyConfigured): %o', deviceInformationFromWebApi);
+                                const lanClient = new LanClient(deviceInformationFromWebApi, platform.log);
                                 lanClient.start();
                                 accessory.context.lanClient = lanClient;
                             }
 
-                            if (switchesAmount > 1) {
-                                if (platform.groups.has(deviceInformationFromWebApi.deviceid)) {
-                                    let group = platform.groups.get(deviceInformationFromWebApi.deviceid);
-
-                                    switch (group.type) {
-                                        case 'blind':
-                                            platform.log("Blind device has been set: " + deviceInformationFromWebApi.extra.extra.model + ' uiid: ' + deviceInformationFromWebApi.uiid);
-                                            accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, deviceInformationFromWebApi.name);
-                                            platform.updateBlindStateCharacteristic(deviceId, deviceInformationFromWebApi.params.switches);
-                                            // Ensuring switches device config
-                                            platform.initSwitchesConfig(accessory);
-                                            break;
-                                        default:
-                                            platform.log('Group type error ! Device [%s], ID : [%s] will not be set', deviceInformationFromWebApi.name, deviceInformationFromWebApi.deviceid);
-                                            break;
-                                    }
+                            if (switchesAmount > 1 || platform.isGroupedDevice(deviceInformationFromWebApi.deviceid)) {
+                                if (platform.isGroupedDevice(deviceInformationFromWebApi.deviceid)) {
+                                    platform.getDeviceGroups(deviceId).forEach(function (group, accessoryId) {
+                                        if (platform.accessories.has(accessoryId)) {
+                                            platform.updateGroupAccessory(deviceInformationFromWebApi, accessoryId, group);
+                                        } else {
+                                            platform.addGroupAccessory(deviceInformationFromWebApi, accessoryId, group, {});
+                                        }
+                                    });
                                 } else if (deviceType === 'FAN_LIGHT') {
                                     platform.updateFanLightCharacteristic(deviceId, deviceInformationFromWebApi.params.switches[0].switch, platform.devicesFromApi.get(deviceId));
                                     platform.updateFanSpeedCharacteristic(deviceId, deviceInformationFromWebApi.params.switches[1].switch, deviceInformationFromWebApi.params.switches[2].switch, deviceInformationFromWebApi.params.switches[3].switch, platform.devicesFromApi.get(deviceId));
                                 } else {
-                                    platform.log(switchesAmount + " channels device has been set: " + deviceInformationFromWebApi.extra.extra.model + ' uiid: ' + deviceInformationFromWebApi.uiid);
+                                    platform.log(switchesAmount + " channels device has been set: " + platform.getDeviceModel(deviceInformationFromWebApi) + ' uiid: ' + deviceInformationFromWebApi.uiid);
                                     for (let i = 0; i !== switchesAmount; i++) {
                                         accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, deviceInformationFromWebApi.name + ' CH ' + (i + 1));
                                         platform.updatePowerStateCharacteristic(deviceId + 'CH' + (i + 1), deviceInformationFromWebApi.params.switches[i].switch, platform.devicesFromApi.get(deviceId));
                                     }
                                 }
+                            } else if (deviceType === 'CURTAIN') {
+                                platform.log("Curtain has been set: " + platform.getDeviceModel(deviceInformationFromWebApi) + ' uiid: ' + deviceInformationFromWebApi.uiid);
+                                accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, deviceInformationFromWebApi.name);
+                                if (deviceInformationFromWebApi.params.hasOwnProperty('setclose')) {
+                                    // Only the position is relevant, the last reported motor direction may be outdated
+                                    platform.updateCurtainCharacteristic(deviceId, {setclose: deviceInformationFromWebApi.params.setclose});
+                                }
+                            } else if (platform.getAirDeviceConfig(deviceType)) {
+                                platform.log("Air device has been set: " + platform.getDeviceModel(deviceInformationFromWebApi) + ' uiid: ' + deviceInformationFromWebApi.uiid);
+                                accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, deviceInformationFromWebApi.name);
+                                platform.updateAirDeviceCharacteristic(deviceId, deviceInformationFromWebApi.params);
+                            } else if (deviceType === 'SENSORS_CENTER') {
+                                platform.log("Sensors center has been set: " + platform.getDeviceModel(deviceInformationFromWebApi) + ' uiid: ' + deviceInformationFromWebApi.uiid);
+                                accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, deviceInformationFromWebApi.name);
+                                platform.updateSensorsCenterCharacteristic(deviceId, deviceInformationFromWebApi.params);
+                            } else if (platform.isZigbeeSubDevice(deviceInformationFromWebApi)) {
+                                platform.log("Zigbee device has been set: " + platform.getDeviceModel(deviceInformationFromWebApi) + ' uiid: ' + deviceInformationFromWebApi.uiid);
+                                accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, deviceInformationFromWebApi.name);
+                                platform.updateZigbeeCharacteristic(deviceId, deviceInformationFromWebApi.params);
+                            } else if (deviceType === 'RF_BRIDGE') {
+                                platform.log("RF Bridge has been set: " + platform.getDeviceModel(deviceInformationFromWebApi) + ' uiid: ' + deviceInformationFromWebApi.uiid);
+                                accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, deviceInformationFromWebApi.name);
                             } else {
-                                platform.log("Single channel device has been set: " + deviceInformationFromWebApi.extra.extra.model + ' uiid: ' + deviceInformationFromWebApi.uiid);
+                                platform.log("Single channel device has been set: " + platform.getDeviceModel(deviceInformationFromWebApi) + ' uiid: ' + deviceInformationFromWebApi.uiid);
                                 accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, deviceInformationFromWebApi.name);
-                                platform.updatePowerStateCharacteristic(deviceId, deviceInformationFromWebApi.params.switch);
+                                if (deviceInformationFromWebApi.params.hasOwnProperty('switch')) {
+                                    platform.updatePowerStateCharacteristic(deviceId, deviceInformationFromWebApi.params.switch);
+                                }
+                                if (platform.isPowerMonitoringDevice(deviceInformationFromWebApi)) {
+                                    platform.updatePowerMonitoringCharacteristic(deviceId, deviceInformationFromWebApi.params);
+                                }
+                                if (deviceType === 'SINGLE_CHANNEL_DIMMER_SWITCH') {
+                                    platform.updateBrightnessCharacteristic(deviceId, deviceInformationFromWebApi.params);
+                                } else if (['RGB_BALL_LIGHT', 'COLD_WARM_LED', 'COLD_WARM_DESK_LIGHT'].indexOf(deviceType) !== -1 || platform.isLightStrip(deviceInformationFromWebApi)) {
+                                    platform.updateLightCharacteristic(deviceId, deviceInformationFromWebApi.params);
+                                }
                             }
 
-                            if (deviceInformationFromWebApi.extra.extra.model === "PSA-BHA-GL") {
-                                platform.log("Thermostat device has been set: " + deviceInformationFromWebApi.extra.extra.model);
+                            if (platform.isSensorDevice(deviceInformationFromWebApi)) {
+                                platform.log("Sensor device has been set: " + platform.getDeviceModel(deviceInformationFromWebApi) + ' sensor: ' + deviceInformationFromWebApi.params.sensorType);
                                 platform.updateCurrentTemperatureCharacteristic(deviceId, deviceInformationFromWebApi.params);
+                                platform.updateThermostatCharacteristic(deviceId, deviceInformationFromWebApi.params);
                             }
 
                         } else {
                             platform.log('Device with ID [%s] is not configured. Add accessory.', deviceId);
 
                             let deviceToAdd = platform.devicesFromApi.get(deviceId);
+                            let deviceType = platform.getDeviceTypeByUiid(deviceToAdd.uiid);
                             let switchesAmount = platform.getDeviceChannelCount(deviceToAdd);
 
                             let services = {};
                             services.switch = true;
 
-                            if (deviceToAdd.extra.extra.model === "PSA-BHA-GL") {
-                                services.thermostat = true;
+                            if (platform.isSensorDevice(deviceToAdd)) {
+                                services.thermostat = platform.getDeviceTypeByUiid(deviceToAdd.uiid) === 'THERMOSTAT';
+                                services.temperature = true;
+                                services.humidity = platform.hasHumiditySensor(deviceToAdd);
+                            } else if (platform.isPowerMonitoringDevice(deviceToAdd)) {
+                                services.power = true;
+                                services.switch = false;
+                            } else if (deviceType === 'SINGLE_CHANNEL_DIMMER_SWITCH') {
+                                services.dimmer = true;
+                                services.switch = false;
+                            } else if (deviceType === 'RGB_BALL_LIGHT') {
+                                services.color = true;
+                                services.switch = false;
+                            } else if (deviceType === 'COLD_WARM_LED' || deviceType === 'COLD_WARM_DESK_LIGHT') {
+                                services.white = true;
+                                services.switch = false;
+                            } else if (deviceType === 'RF_BRIDGE') {
+                                services.rfBridge = true;
+                                services.switch = false;
+                            } else if (deviceType === 'CURTAIN') {
+                                services.curtain = true;
+                                services.switch = false;
+                            } else if (platform.getAirDeviceConfig(deviceType)) {
+                                services.air = true;
+                                services.switch = false;
+                            } else if (deviceType === 'SENSORS_CENTER') {
+                                services.sensorsCenter = true;
                                 services.temperature = true;
                                 services.humidity = true;
+                                services.switch = false;
+                            } else if (platform.isZigbeeSubDevice(deviceToAdd)) {
+                                services.zigbee = true;
+                                services.temperature = deviceType === 'ZIGBEE_TEMPERATURE_AND_HUMIDITY_SENSOR';
+                                services.humidity = deviceType === 'ZIGBEE_TEMPERATURE_AND_HUMIDITY_SENSOR';
+                                services.switch = false;
+                            } else if (platform.isLightStrip(deviceToAdd)) {
+                                services.strip = true;
+                                services.switch = false;
                             } else {
                                 services.switch = true;
                             }
-                            if (switchesAmount > 1) {
-                                if (platform.groups.has(deviceToAdd.deviceid)) {
-                                    let group = platform.groups.get(deviceToAdd.deviceid);
-                                    switch (group.type) {
-                                        case 'blind':
-                                            platform.log('Device [%s], ID : [%s] will be added as %s', deviceToAdd.name, deviceToAdd.deviceid, group.type);
-                                            services.blind = true;
-                                            services.switch = false;
-                                            services.group = group;
-                                            platform.addAccessory(deviceToAdd, null, services);
-                                            break;
-                                        default:
-                                            platform.log('Group type error ! Device [%s], ID : [%s] will not be added', deviceToAdd.name, deviceToAdd.deviceid);
-                                            break;
-                                    }
-                                } else if (deviceToAdd.extra.extra.model === "PSF-BFB-GL") {
+                            if (switchesAmount > 1 || platform.isGroupedDevice(deviceToAdd.deviceid)) {
+                                if (platform.isGroupedDevice(deviceToAdd.deviceid)) {
+                                    platform.getDeviceGroups(deviceId).forEach(function (group, accessoryId) {
+                                        if (platform.accessories.has(accessoryId)) {
+                                            platform.updateGroupAccessory(deviceToAdd, accessoryId, group);
+                                        } else {
+                                            platform.addGroupAccessory(deviceToAdd, accessoryId, group, services);
+                                        }
+                                    });
+                                } else if (platform.getDeviceModel(deviceToAdd) === "PSF-BFB-GL") {
                                     services.fan = true;
                                     services.switch = false;
                                     platform.log('Device [%s], ID : [%s] will be added as a fan', deviceToAdd.name, deviceToAdd.deviceid);
@@ -286,6 +435,33 @@ function eWeLink(log, config, api) {
                             } else {
                                 platform.log('Device [%s], ID : [%s] will be added', deviceToAdd.name, deviceToAdd.deviceid);
                                 platform.addAccessory(deviceToAdd, null, services);
+                                if (services.temperature || services.humidity) {
+                                    platform.updateCurrentTemperatureCharacteristic(deviceToAdd.deviceid, deviceToAdd.params);
+                                }
+                                if (services.thermostat) {
+                                    platform.updateThermostatCharacteristic(deviceToAdd.deviceid, deviceToAdd.params);
+                                }
+                                if (services.dimmer) {
+                                    platform.updateBrightnessCharacteristic(deviceToAdd.deviceid, deviceToAdd.params);
+                                }
+                                if (services.color || services.white || services.strip) {
+                                    platform.updateLightCharacteristic(deviceToAdd.deviceid, deviceToAdd.params);
+                                }
+                                if (services.air) {
+                                    platform.updateAirDeviceCharacteristic(deviceToAdd.deviceid, deviceToAdd.params);
+                                }
+                                if (services.zigbee) {
+                                    platform.updateZigbeeCharacteristic(deviceToAdd.deviceid, deviceToAdd.params);
+                                }
+                                if (services.sensorsCenter) {
+                                    platform.updateSensorsCenterCharacteristic(deviceToAdd.deviceid, deviceToAdd.params);
+                                }
+                                if (services.curtain) {
+                                    if (deviceToAdd.params.hasOwnProperty('setclose')) {
+                                        // Only the position is relevant, the last reported motor direction may be outdated
+                                        platform.updateCurtainCharacteristic(deviceToAdd.deviceid, {setclose: deviceToAdd.params.setclose});
+                                    }
+                                }
                             }
                         }
                     }
@@ -330,25 +506,19 @@ function eWeLink(log, config, api) {
                                 platform.log("Update message received for device [%s]", json.deviceid);
                                 platform.log(json);
 
-                                if (json.hasOwnProperty("params") && json.params.hasOwnProperty("switch")) {
+                                if (json.hasOwnProperty("params") && platform.accessories.has(json.deviceid) && platform.accessories.get(json.deviceid).context.deviceType === 'CURTAIN') {
+                                    // The switch of a curtain is its motor direction
+                                    platform.updateCurtainCharacteristic(json.deviceid, json.params);
+                                } else if (json.hasOwnProperty("params") && platform.accessories.has(json.deviceid) && platform.getAirDeviceConfig(platform.accessories.get(json.deviceid).context.deviceType)) {
+                                    platform.updateAirDeviceCharacteristic(json.deviceid, json.params);
+                                } else if (json.hasOwnProperty("params") && json.params.hasOwnProperty("switch") && platform.isGroupedDevice(json.deviceid)) {
+                                    // Single channel device in a group
+                                    platform.updateGroupCharacteristic(json.deviceid, json.params);
+                                } else if (json.hasOwnProperty("params") && json.params.hasOwnProperty("switch")) {
                                     platform.updatePowerStateCharacteristic(json.deviceid, json.params.switch);
                                 } else if (json.hasOwnProperty("params") && json.params.hasOwnProperty("switches") && Array.isArray(json.params.switches)) {
-                                    if (platform.groups.has(json.deviceid)) {
-                                        let group = platform.groups.get(json.deviceid);
-                                        platform.log('---------------' + group);
-
-                                        switch (group.type) {
-                                            case 'blind':
-                                                if (group.handle_api_changes) {
-                                                    platform.updateBlindStateCharacteristic(json.deviceid, json.params.switches);
-                                                } else {
-                                                    platform.log('Setup to not respond to API. Device ID : [%s] will not be updated.', json.deviceid);
-                                                }
-                                                break;
-                                            default:
-                                                platform.log('Group type error ! Device ID : [%s] will not be updated.', json.deviceid);
-                                                break;
-                                        }
+                                    if (platform.isGroupedDevice(json.deviceid)) {
+                                        platform.updateGroupCharacteristic(json.deviceid, json.params);
                                     } else if (platform.devicesFromApi.has(json.deviceid) && platform.getDeviceTypeByUiid(platform.devicesFromApi.get(json.deviceid).uiid) === 'FAN_LIGHT') {
                                         platform.updateFanLightCharacteristic(json.deviceid, json.params.switches[0].switch, platform.devicesFromApi.get(json.deviceid));
                                         platform.devicesFromApi.get(json.deviceid).params.switches = json.params.switches;
@@ -366,6 +536,39 @@ function eWeLink(log, config, api) {
                                     platform.updateCurrentTemperatureCharacteristic(json.deviceid, json.params);
                                 }
 
+                                if (json.hasOwnProperty("params") && platform.accessories.has(json.deviceid) && platform.getZigbeeServiceType(platform.accessories.get(json.deviceid).context.deviceType)) {
+                                    platform.updateZigbeeCharacteristic(json.deviceid, json.params);
+                                    platform.updateZigbeeButtonCharacteristic(json.deviceid, json.params);
+                                }
+
+                                if (json.hasOwnProperty("params") && platform.accessories.has(json.deviceid) && platform.accessories.get(json.deviceid).context.deviceType === 'SENSORS_CENTER') {
+                                    platform.updateSensorsCenterCharacteristic(json.deviceid, json.params);
+                                }
+
+                                if (json.hasOwnProperty("params") && json.params.cmd === 'trigger') {
+                                    platform.updateRfBridgeCharacteristic(json.deviceid, json.params);
+                                }
+
+                                if (json.hasOwnProperty("params")) {
+                                    platform.updateGarageDoorSensor(json.deviceid, json.params);
+                                }
+
+                                if (json.hasOwnProperty("params") && json.params.hasOwnProperty("bright")) {
+                                    platform.updateBrightnessCharacteristic(json.deviceid, json.params);
+                                }
+
+                                if (json.hasOwnProperty("params") && platform.accessories.has(json.deviceid) && ['RGB_BALL_LIGHT', 'COLD_WARM_LED', 'COLD_WARM_DESK_LIGHT', 'LIGHT_BELT'].indexOf(platform.accessories.get(json.deviceid).context.deviceType) !== -1) {
+                                    platform.updateLightCharacteristic(json.deviceid, json.params);
+                                }
+
+                                if (json.hasOwnProperty("params") && platform.accessories.has(json.deviceid) && platform.accessories.get(json.deviceid).getService(Service.Thermostat) && (json.params.hasOwnProperty("switch") || json.params.hasOwnProperty("deviceType") || json.params.hasOwnProperty("targets"))) {
+                                    platform.updateThermostatCharacteristic(json.deviceid, json.params);
+                                }
+
+                                if (json.hasOwnProperty("params") && (json.params.hasOwnProperty("power") || json.params.hasOwnProperty("voltage") || json.params.hasOwnProperty("current"))) {
+                                    platform.updatePowerMonitoringCharacteristic(json.deviceid, json.params);
+                                }
+
 
                             }
 
@@ -375,6 +578,13 @@ function eWeLink(log, config, api) {
                                     platform.wsc.send('ping');
                                 }, json.config.hbInterval * 1000);
                             }
+                            // Power monitoring devices only report their readings while the app is active
+                            if (!platform.uiActiveInterval) {
+                                platform.requestPowerReadings();
+                                platform.uiActiveInterval = setInterval(function () {
+                                    platform.requestPowerReadings();
+                                }, 60 * 1000);
+                            }
                         }
 
                     };
@@ -418,6 +628,10 @@ function eWeLink(log, config, api) {
                             clearInterval(platform.hbInterval);
                             platform.hbInterval = null;
                         }
+                        if (platform.uiActiveInterval) {
+                            clearInterval(platform.uiActiveInterval);
+                            platform.uiActiveInterval = null;
+                        }
                     };
 
                 }); // End WebSocket
@@ -451,7 +665,9 @@ eWeLink.prototype.configureAccessory = function (accessory) {
     platform.log(accessory.displayName, "Configure Accessory");
 
     let service;
-    if (accessory.getService(Service.WindowCovering)) {
+    if (accessory.context.deviceType === 'CURTAIN') {
+        platform.configureCurtainService(accessory);
+    } else if (accessory.getService(Service.WindowCovering)) {
         service = accessory.getService(Service.WindowCovering);
         service.getCharacteristic(Characteristic.CurrentPosition)
             .on('get', function (callback) {
@@ -478,15 +694,35 @@ eWeLink.prototype.configureAccessory = function (accessory) {
         } else {
             platform.log("[%s] Previous saved state found. lastPosition set to: %s", accessory.displayName, lastPosition);
         }
+        if (accessory.context.moving) {
+            // The cache is saved when the blind starts and stops travelling
+            platform.log("[%s] Homebridge was stopped while the blind was moving. The position is unknown.", accessory.displayName);
+            accessory.context.positionUnknown = true;
+            // A single button motor stops by itself at the end of its travel
+            accessory.context.pulseCycle = accessory.context.currentPositionState === 0 ? 2 : 0;
+        } else if (accessory.context.pulseCycle === undefined) {
+            accessory.context.pulseCycle = lastPosition > 0 ? 2 : 0;
+        } else if (accessory.context.pulseCycle % 2 === 1) {
+            // Saved while the slats were tilting
+            accessory.context.pulseCycle = (accessory.context.pulseCycle + 1) % 4;
+        }
+        accessory.context.moving = false;
         accessory.context.lastPosition = lastPosition;
         accessory.context.currentTargetPosition = lastPosition;
         accessory.context.currentPositionState = 2;
+        accessory.context.pendingTargetPosition = undefined;
+        accessory.context.calibrating = false;
 
         // Updating config
         let group = platform.groups.get(accessory.context.deviceId);
         if (group) {
-            accessory.context.switchUp = group.relay_up - 1;
-            accessory.context.switchDown = group.relay_down - 1;
+            // A single button motor uses the same relay to move up and down
+            accessory.context.switchUp = platform.getBlindRelay(group, group.relay_pulse || group.relay_up).index;
+            accessory.context.switchDown = platform.getBlindRelay(group, group.relay_pulse || group.relay_down).index;
+            accessory.context.deviceUp = platform.getBlindRelay(group, group.relay_pulse || group.relay_up).deviceId;
+            accessory.context.deviceDown = platform.getBlindRelay(group, group.relay_pulse || group.relay_down).deviceId;
+            accessory.context.pulseRelay = !!group.relay_pulse;
+            accessory.context.pulseWidth = (group.time_pulse || 1) * 1000;
             accessory.context.durationUp = group.time_up;
             accessory.context.durationDown = group.time_down;
             accessory.context.durationBMU = group.time_botton_margin_up || 0;
@@ -495,86 +731,83 @@ eWeLink.prototype.configureAccessory = function (accessory) {
             accessory.context.percentDurationDown = (accessory.context.durationDown / 100) * 1000;
             accessory.context.percentDurationUp = (accessory.context.durationUp / 100) * 1000;
             accessory.context.handleApiChanges = group.handle_api_changes || true;
+            accessory.context.autoRecalibration = group.auto_recalibration || false;
+            accessory.context.durationTilt = group.time_tilt || 0;
+            accessory.context.stopSwitch = group.stop_switch || false;
+            accessory.context.travelCurve = group.travel_curve || [];
+            accessory.context.startDelay = group.time_start_delay || 0;
         }
+        platform.configureBlindTilt(accessory);
+        platform.configureBlindStop(accessory);
     }
-    if (accessory.getService(Service.Switch)) {
-
-        accessory.getService(Service.Switch)
+    // The switches of a light strip are its effects, the switches of a RF Bridge are its buttons
+    if (accessory.context.relayServiceType === undefined && accessory.getService(Service.Switch) && ['LIGHT_BELT', 'RF_BRIDGE'].indexOf(accessory.context.deviceType) === -1 && !platform.isGroupAccessory(accessory)) {
+        // Cached before the service type of relays could be configured
+        accessory.context.relayServiceType = 'Switch';
+    }
+    if (accessory.context.relayServiceType) {
+        platform.configureRelayService(accessory);
+    }
+    if (accessory.getService(Service.Outlet) && accessory.context.relayServiceType !== 'Outlet') {
+        accessory.getService(Service.Outlet)
             .getCharacteristic(Characteristic.On)
             .on('set', function (value, callback) {
-
-                let localDevice = undefined;
-                if (accessory.context.lanClient) {
-                    /* Try to get the local device state if a lan client exists */
-                    localDevice = accessory.context.lanClient.getLocalDevice();
-                }
-                
-                if(localDevice && localDevice.data.type === 'plug') {
-                    /* We can do a local device call for this */
-                    accessory.context.lanClient.setSwitchStatus(
-                        accessory, value, callback);
-                } else {
-                    /* Do a web call */
-                    platform.setPowerState(accessory, value, callback);
-                }
+                platform.setPowerState(accessory, value, callback);
             })
             .on('get', function (callback) {
-
-                let localDevice = undefined;
-                if (accessory.context.lanClient && 
-                        accessory.context.lanClient.getLocalDevice) {
-                    /* Only get the local device state if there is a lan client and it
-                     * has the expected function. 
-                     * This latter check seems to be required when a device is partially
-                     * restored and homebridge tries to get the state before it is fully
-                     * set up. 
-                     */
-                    localDevice = accessory.context.lanClient.getLocalDevice();
-                }
-                    
-                let status = undefined;
-                if (localDevice) {
-                    if (localDevice.data.type === 'plug') {
-                        status = accessory.context.lanClient.getSwitchStatus();
-                    } else if (localDevice.data.type === 'strip') {
-                        status = accessory.context.lanClient.getStripOutletStatus(
-                            accessory.context.channel);
-                    }
-                } 
-
-                if (status !== undefined) {
-                    /* Got a response from the lan client, call the callback */
-                    callback(null, status);
-                } else {
-                    /* Try the API */
-                    platform.getPowerState(accessory, callback);
-                }
+                platform.getPowerState(accessory, callback);
             });
-
     }
     if (accessory.getService(Service.Thermostat)) {
         service = accessory.getService(Service.Thermostat);
 
         service.getCharacteristic(Characteristic.CurrentTemperature)
-            .on('set', function (value, callback) {
-                platform.setTemperatureState(accessory, value, callback);
+            .setProps({
+                minValue: -50
             })
             .on('get', function (callback) {
                 platform.getCurrentTemperature(accessory, callback);
             });
         service.getCharacteristic(Characteristic.CurrentRelativeHumidity)
+            .on('get', function (callback) {
+                platform.getCurrentHumidity(accessory, callback);
+            });
+        service.getCharacteristic(Characteristic.CurrentHeatingCoolingState)
+            .on('get', function (callback) {
+                platform.getCurrentHeatingCoolingState(accessory, callback);
+            });
+        service.getCharacteristic(Characteristic.TargetHeatingCoolingState)
+            .setProps({
+                validValues: [
+                    Characteristic.TargetHeatingCoolingState.OFF,
+                    Characteristic.TargetHeatingCoolingState.HEAT,
+                    Characteristic.TargetHeatingCoolingState.COOL
+                ]
+            })
+            .on('get', function (callback) {
+                platform.getTargetHeatingCoolingState(accessory, callback);
+            })
             .on('set', function (value, callback) {
-                platform.setHumidityState(accessory, value, callback);
+                platform.setTargetHeatingCoolingState(accessory, value, callback);
+            });
+        service.getCharacteristic(Characteristic.TargetTemperature)
+            .setProps({
+                minValue: 0,
+                maxValue: 50,
+                minStep: 1
             })
             .on('get', function (callback) {
-                platform.getCurrentHumidity(accessory, callback);
+                platform.getTargetTemperature(accessory, callback);
+            })
+            .on('set', function (value, callback) {
+                platform.setTargetTemperature(accessory, value, callback);
             });
     }
     if (accessory.getService(Service.TemperatureSensor)) {
         accessory.getService(Service.TemperatureSensor)
             .getCharacteristic(Characteristic.CurrentTemperature)
-            .on('set', function (value, callback) {
-                platform.setTemperatureState(accessory, value, callback);
+            .setProps({
+                minValue: -50
             })
             .on('get', function (callback) {
                 platform.getCurrentTemperature(accessory, callback);
@@ -583,15 +816,36 @@ eWeLink.prototype.configureAccessory = function (accessory) {
     if (accessory.getService(Service.HumiditySensor)) {
         accessory.getService(Service.HumiditySensor)
             .getCharacteristic(Characteristic.CurrentRelativeHumidity)
-            .on('set', function (value, callback) {
-                platform.setHumidityState(accessory, value, callback);
-            })
             .on('get', function (callback) {
                 platform.getCurrentHumidity(accessory, callback);
             });
     }
 
-    if (accessory.getService(Service.Fanv2)) {
+    if (accessory.context.deviceType === 'RF_BRIDGE') {
+        platform.configureRfBridgeServices(accessory);
+    }
+
+    if (accessory.getService(Service.GarageDoorOpener)) {
+        platform.configureGarageDoorService(accessory);
+    }
+
+    if (accessory.getService(Service.LockMechanism)) {
+        platform.configureLockService(accessory);
+    }
+
+    if (accessory.getService(Service.IrrigationSystem)) {
+        platform.configureIrrigationServices(accessory);
+    }
+
+    if (platform.getZigbeeServiceType(accessory.context.deviceType)) {
+        platform.configureZigbeeService(accessory);
+    }
+
+    if (platform.getAirDeviceConfig(accessory.context.deviceType)) {
+        platform.configureAirDeviceService(accessory);
+    }
+
+    if (accessory.getService(Service.Fanv2) && !platform.getAirDeviceConfig(accessory.context.deviceType)) {
         accessory.getService(Service.Fanv2).getCharacteristic(Characteristic.On)
             .on("get", function (callback) {
                 platform.getFanState(accessory, callback);
@@ -613,15 +867,30 @@ eWeLink.prototype.configureAccessory = function (accessory) {
             });
     }
 
-    if (accessory.getService(Service.Lightbulb)) {
-        accessory.getService(Service.Lightbulb).getCharacteristic(Characteristic.On)
-            .on("get", function (callback) {
-                platform.getFanLightState(accessory, callback);
-            })
-            .on("set", function (value, callback) {
-                platform.setFanLightState(accessory, value, callback);
-            });
+    if (accessory.getService(Service.Lightbulb) && accessory.context.relayServiceType !== 'Lightbulb') {
+        service = accessory.getService(Service.Lightbulb);
 
+        switch (accessory.context.deviceType) {
+            case 'SINGLE_CHANNEL_DIMMER_SWITCH':
+            case 'RGB_BALL_LIGHT':
+            case 'COLD_WARM_LED':
+            case 'COLD_WARM_DESK_LIGHT':
+            case 'LIGHT_BELT':
+                platform.configureLightService(accessory, service);
+                break;
+            case 'ELECTRIC_FAN_WITH_LAMP':
+                // Configured with the fan
+                break;
+            default:
+                service.getCharacteristic(Characteristic.On)
+                    .on("get", function (callback) {
+                        platform.getFanLightState(accessory, callback);
+                    })
+                    .on("set", function (value, callback) {
+                        platform.setFanLightState(accessory, value, callback);
+                    });
+                break;
+        }
     }
 
 
@@ -641,7 +910,7 @@ eWeLink.prototype.addAccessory = function (device, deviceId = null, services = {
     let platform = this;
     let channel = 0;
 
-    if (device.type != 10) {
+    if (device.type != 10 && !platform.isZigbeeSubDevice(device)) {
         this.log("A device with an unknown type was returned. It will be skipped.", device.type);
         return;
     }
@@ -677,8 +946,9 @@ eWeLink.prototype.addAccessory = function (device, deviceId = null, services = {
 
     accessory.context.deviceId = deviceId ? deviceId : device.deviceid;
     accessory.context.apiKey = device.apikey;
-    accessory.context.switches = 1;
+    accessory.context.switches = Math.max(switchesCount, 1);
     accessory.context.channel = channel;
+    accessory.context.deviceType = platform.getDeviceTypeByUiid(device.uiid);
 
     accessory.reachable = device.online === 'true';
 
@@ -723,10 +993,40 @@ eWeLink.prototype.addAccessory = function (device, deviceId = null, services = {
             });
     }
 
+    if (services.group) {
+        accessory.context.groupType = services.group.type;
+    }
+    if (services.garage) {
+        // The door is assumed closed until a sensor or a move tells otherwise
+        let service = accessory.addService(Service.GarageDoorOpener, deviceName);
+        service.getCharacteristic(Characteristic.CurrentDoorState).updateValue(Characteristic.CurrentDoorState.CLOSED);
+        service.getCharacteristic(Characteristic.TargetDoorState).updateValue(Characteristic.TargetDoorState.CLOSED);
+        platform.configureGarageDoorService(accessory);
+    }
+    if (services.lock) {
+        accessory.addService(Service.LockMechanism, deviceName);
+        platform.configureLockService(accessory);
+    }
+    if (services.irrigation) {
+        let system = accessory.addService(Service.IrrigationSystem, deviceName);
+        platform.getIrrigationRelays(accessory).forEach(function (relay) {
+            let valveName = deviceName + ' CH ' + relay;
+            if (device.tags && device.tags.ck_channel_name && device.tags.ck_channel_name[relay - 1]) {
+                valveName = device.tags.ck_channel_name[relay - 1];
+            }
+            system.addLinkedService(accessory.addService(Service.Valve, valveName, 'valve' + relay));
+        });
+        platform.configureIrrigationServices(accessory);
+    }
     if (services.blind) {
         // platform.log("Services:", services);
-        accessory.context.switchUp = services.group.relay_up - 1;
-        accessory.context.switchDown = services.group.relay_down - 1;
+        // A single button motor uses the same relay to move up and down
+        accessory.context.switchUp = platform.getBlindRelay(services.group, services.group.relay_pulse || services.group.relay_up).index;
+        accessory.context.switchDown = platform.getBlindRelay(services.group, services.group.relay_pulse || services.group.relay_down).index;
+        accessory.context.deviceUp = platform.getBlindRelay(services.group, services.group.relay_pulse || services.group.relay_up).deviceId;
+        accessory.context.deviceDown = platform.getBlindRelay(services.group, services.group.relay_pulse || services.group.relay_down).deviceId;
+        accessory.context.pulseRelay = !!services.group.relay_pulse;
+        accessory.context.pulseWidth = (services.group.time_pulse || 1) * 1000;
         accessory.context.durationUp = services.group.time_up;
         accessory.context.durationDown = services.group.time_down;
         accessory.context.durationBMU = services.group.time_botton_margin_up || 0;
@@ -735,10 +1035,17 @@ eWeLink.prototype.addAccessory = function (device, deviceId = null, services = {
         accessory.context.percentDurationDown = (accessory.context.durationDown / 100) * 1000;
         accessory.context.percentDurationUp = (accessory.context.durationUp / 100) * 1000;
         accessory.context.handleApiChanges = services.group.handle_api_changes || true;
+        accessory.context.autoRecalibration = services.group.auto_recalibration || false;
+        accessory.context.durationTilt = services.group.time_tilt || 0;
+        accessory.context.stopSwitch = services.group.stop_switch || false;
+        accessory.context.travelCurve = services.group.travel_curve || [];
+        accessory.context.startDelay = services.group.time_start_delay || 0;
 
         accessory.context.lastPosition = 100;           // Last know position, (0-100%)
         accessory.context.currentPositionState = 2;     // 2 = Stoped , 0=Moving Up , 1 Moving Down.
         accessory.context.currentTargetPosition = 100;    //  Target Position, (0-100%)
+        accessory.context.moving = false;               // Saved as true while travelling, the position is unknown after a restart
+        accessory.context.pulseCycle = 2;               // Single button motors, 2 = Stopped after opening
 
         // Ensuring switches device config
         platform.initSwitchesConfig(accessory);
@@ -759,83 +1066,127 @@ eWeLink.prototype.addAccessory = function (device, deviceId = null, services = {
             .on('set', function (value, callback) {
                 platform.setTargetPosition(accessory, value, callback);
             });
+        platform.configureBlindTilt(accessory);
+        platform.configureBlindStop(accessory);
     }
     if (services.switch) {
-        accessory.addService(Service.Switch, deviceName)
-            .getCharacteristic(Characteristic.On)
-            .on('set', function (value, callback) {
-
-                let localDevice = undefined;
-                if (accessory.context.lanClient) {
-                    /* Try to get the local device state if a lan client exists */
-                    localDevice = accessory.context.lanClient.getLocalDevice();
-                }
+        accessory.context.relayServiceType = platform.getRelayServiceName(accessory.context.deviceId);
+        platform.configureRelayService(accessory);
+    }
+    if (services.power) {
+        let service = accessory.addService(Service.Outlet, deviceName);
 
-                if(localDevice && localDevice.data.type === 'plug') {
-                    /* A local device state exists. We can do a local device call for this */
-                    accessory.context.lanClient.setSwitchStatus(
-                        accessory, value, callback);
-                } else {
-                    /* Do a web call */
-                    platform.setPowerState(accessory, value, callback);
-                }
+        service.getCharacteristic(Characteristic.On)
+            .on('set', function (value, callback) {
+                platform.setPowerState(accessory, value, callback);
             })
             .on('get', function (callback) {
-
-                let localDevice = undefined;
-                if (accessory.context.lanClient && 
-                        accessory.context.lanClient.getLocalDevice) {
-                    /* Only get the local device state if there is a lan client and it
-                     * has the expected function. 
-                     * This latter check seems to be required when a device is partially
-                     * restored and homebridge tries to get the state before it is fully
-                     * set up. 
-                     */
-                    localDevice = accessory.context.lanClient.getLocalDevice();
-                }
-                    
-                let status = undefined;
-                if (localDevice) {
-                    if (localDevice.data.type === 'plug') {
-                        status = accessory.context.lanClient.getSwitchStatus();
-                    } else if (localDevice.data.type === 'strip') {
-                        status = accessory.context.lanClient.getStripOutletStatus(
-                            accessory.context.channel);
-                    }
-                } 
-
-                if (status !== undefined) {
-                    /* Got a response from the lan client, call the callback */
-                    callback(null, status);
-                } else {
-                    /* Try the API */
-                    platform.getPowerState(accessory, callback);
-                }
+                platform.getPowerState(accessory, callback);
+            });
+        service.addCharacteristic(CurrentPowerConsumption);
+        // The original POW only reports the power, voltage and current are POW R2 / S31 only
+        if (device.params.hasOwnProperty('voltage')) {
+            service.addCharacteristic(Voltage);
+        }
+        if (device.params.hasOwnProperty('current')) {
+            service.addCharacteristic(ElectricCurrent);
+        }
+    }
+    if (services.air) {
+        let service = accessory.addService(platform.getAirDeviceConfig(accessory.context.deviceType).service, deviceName);
+        if (platform.getAirDeviceConfig(accessory.context.deviceType).lightParam) {
+            accessory.addService(Service.Lightbulb, deviceName + ' Light');
+        }
+        if (device.params.hasOwnProperty('filter')) {
+            service.addLinkedService(accessory.addService(Service.FilterMaintenance, deviceName + ' Filter'));
+        }
+        platform.configureAirDeviceService(accessory);
+    }
+    if (services.sensorsCenter) {
+        // The temperature / humidity services are added with the other sensors
+        accessory.addService(Service.LightSensor, deviceName);
+        accessory.addService(Service.AirQualitySensor, deviceName);
+    }
+    if (services.zigbee) {
+        // The temperature / humidity services are added with the other sensors
+        if (!services.temperature) {
+            accessory.addService(platform.getZigbeeServiceType(accessory.context.deviceType), deviceName);
+        }
+        accessory.addService(Service.BatteryService, deviceName);
+        platform.configureZigbeeService(accessory);
+    }
+    if (services.curtain) {
+        accessory.addService(Service.WindowCovering, deviceName);
+        platform.configureCurtainService(accessory);
+    }
+    if (services.rfBridge) {
+        accessory.context.rfChannels = platform.getRfBridgeChannels(device);
+        accessory.context.rfChannels.forEach(function (rfChannel) {
+            accessory.addService(platform.getRfServiceType(rfChannel), rfChannel.name, 'rf' + rfChannel.channel);
+        });
+        platform.configureRfBridgeServices(accessory);
+    }
+    if (services.dimmer || services.color || services.white || services.strip) {
+        if (services.strip) {
+            // L1 strips report the uiid of another device type, they are handled as a light belt
+            accessory.context.deviceType = 'LIGHT_BELT';
+            Object.keys(LIGHT_STRIP_EFFECTS).forEach(function (mode) {
+                accessory.addService(Service.Switch, deviceName + ' ' + LIGHT_STRIP_EFFECTS[mode], 'effect' + mode);
             });
+        }
+        let service = accessory.addService(Service.Lightbulb, deviceName);
+        platform.configureLightService(accessory, service);
     }
     if (services.thermostat) {
         let service = accessory.addService(Service.Thermostat, deviceName);
 
         service.getCharacteristic(Characteristic.CurrentTemperature)
-            .on('set', function (value, callback) {
-                platform.setTemperatureState(accessory, value, callback);
+            .setProps({
+                minValue: -50
             })
             .on('get', function (callback) {
                 platform.getCurrentTemperature(accessory, callback);
             });
         service.getCharacteristic(Characteristic.CurrentRelativeHumidity)
+            .on('get', function (callback) {
+                platform.getCurrentHumidity(accessory, callback);
+            });
+        service.getCharacteristic(Characteristic.CurrentHeatingCoolingState)
+            .on('get', function (callback) {
+                platform.getCurrentHeatingCoolingState(accessory, callback);
+            });
+        service.getCharacteristic(Characteristic.TargetHeatingCoolingState)
+            .setProps({
+                validValues: [
+                    Characteristic.TargetHeatingCoolingState.OFF,
+                    Characteristic.TargetHeatingCoolingState.HEAT,
+                    Characteristic.TargetHeatingCoolingState.COOL
+                ]
+            })
+            .on('get', function (callback) {
+                platform.getTargetHeatingCoolingState(accessory, callback);
+            })
             .on('set', function (value, callback) {
-                platform.setHumidityState(accessory, value, callback);
+                platform.setTargetHeatingCoolingState(accessory, value, callback);
+            });
+        service.getCharacteristic(Characteristic.TargetTemperature)
+            .setProps({
+                minValue: 0,
+                maxValue: 50,
+                minStep: 1
             })
             .on('get', function (callback) {
-                platform.getCurrentHumidity(accessory, callback);
+                platform.getTargetTemperature(accessory, callback);
+            })
+            .on('set', function (value, callback) {
+                platform.setTargetTemperature(accessory, value, callback);
             });
     }
     if (services.temperature) {
         accessory.addService(Service.TemperatureSensor, deviceName)
             .getCharacteristic(Characteristic.CurrentTemperature)
-            .on('set', function (value, callback) {
-                platform.setTemperatureState(accessory, value, callback);
+            .setProps({
+                minValue: -50
             })
             .on('get', function (callback) {
                 platform.getCurrentTemperature(accessory, callback);
@@ -845,9 +1196,6 @@ eWeLink.prototype.addAccessory = function (device, deviceId = null, services = {
     if (services.humidity) {
         accessory.addService(Service.HumiditySensor, deviceName)
             .getCharacteristic(Characteristic.CurrentRelativeHumidity)
-            .on('set', function (value, callback) {
-                platform.setHumidityState(accessory, value, callback);
-            })
             .on('get', function (callback) {
                 platform.getCurrentHumidity(accessory, callback);
             });
@@ -860,9 +1208,9 @@ eWeLink.prototype.addAccessory = function (device, deviceId = null, services = {
 	} catch (e) { }
     });
 
-    accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.SerialNumber, device.extra.extra.mac);
+    accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.SerialNumber, platform.getDeviceSerialNumber(device));
     accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Manufacturer, device.productModel);
-    accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Model, device.extra.extra.model);
+    accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Model, platform.getDeviceModel(device));
     accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Identify, false);
 
     // Exception when some device is not ready to register
@@ -872,13 +1220,12 @@ eWeLink.prototype.addAccessory = function (device, deviceId = null, services = {
         this.log("Error : [%s]", e);
     }
 
-    let switchesAmount = platform.getDeviceChannelCount(device);
-    if (switchesAmount > 1) {
-        accessory.context.switches = switchesAmount;
-    }
-
     this.accessories.set(deviceId ? deviceId : device.deviceid, accessory);
 
+    if (services.garage) {
+        platform.initGarageDoorState(accessory);
+    }
+
     this.api.registerPlatformAccessories("homebridge-eWeLink",
         "eWeLink", [accessory]);
 
@@ -917,11 +1264,53 @@ eWeLink.prototype.updatePowerStateCharacteristic = function (deviceId, state, de
 
     platform.log("Updating recorded Characteristic.On for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, isOn);
 
-    let currentState = accessory.getService(Service.Switch).getCharacteristic(Characteristic.On).value;
+    if (accessory.context.relayServiceType === 'Valve') {
+        platform.updateValveCharacteristic(accessory, isOn);
+        return;
+    }
+
+    let service = accessory.getService(Service.Lightbulb) || accessory.getService(Service.Outlet) || accessory.getService(Service.Switch) || accessory.getService(Service.Fan);
+    let currentState = service.getCharacteristic(Characteristic.On).value;
     if (currentState !== isOn) {
         platform.log("Updating recorded Characteristic.On for [%s] from [%s] to [%s]. No request will be sent to the device.", accessory.displayName, currentState, isOn);
-        accessory.getService(Service.Switch)
-        .setCharacteristic(Characteristic.On, isOn);
+        service.setCharacteristic(Characteristic.On, isOn);
+    }
+};
+
+eWeLink.prototype.updatePowerMonitoringCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    let service = accessory.getService(Service.Outlet);
+    if (!service) {
+        platform.log("[%s] received power readings but is not an outlet. Nothing to do.", accessory.displayName);
+        return;
+    }
+
+    if (state.hasOwnProperty('power')) {
+        let power = parseFloat(state.power) || 0;
+        platform.log("Updating recorded power consumption for [%s] to [%s W]. No request will be sent to the device.", accessory.displayName, power);
+        service.getCharacteristic(CurrentPowerConsumption).updateValue(power);
+        service.getCharacteristic(Characteristic.OutletInUse).updateValue(power > 0);
+    }
+    if (state.hasOwnProperty('voltage')) {
+        let voltage = parseFloat(state.voltage) || 0;
+        platform.log("Updating recorded voltage for [%s] to [%s V]. No request will be sent to the device.", accessory.displayName, voltage);
+        service.getCharacteristic(Voltage).updateValue(voltage);
+    }
+    if (state.hasOwnProperty('current')) {
+        let current = parseFloat(state.current) || 0;
+        platform.log("Updating recorded current for [%s] to [%s A]. No request will be sent to the device.", accessory.displayName, current);
+        service.getCharacteristic(ElectricCurrent).updateValue(current);
     }
 };
 
@@ -946,30 +1335,58 @@ eWeLink.prototype.updateCurrentTemperatureCharacteristic = function (deviceId, s
 
     // platform.log(JSON.stringify(device,null,2));
 
-    let currentTemperature = state.currentTemperature;
-    let currentHumidity = state.currentHumidity;
+    // The TH firmware reports "unavailable" when no sensor is plugged in. The last known value is kept in that case.
+    if (state.hasOwnProperty('currentTemperature')) {
+        let currentTemperature = parseFloat(state.currentTemperature);
+        let isAvailable = !isNaN(currentTemperature);
+
+        if (isAvailable) {
+            accessory.context.currentTemperature = currentTemperature;
+            platform.log("Updating recorded Characteristic.CurrentTemperature for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, currentTemperature);
+            if (accessory.getService(Service.Thermostat)) {
+                accessory.getService(Service.Thermostat)
+                    .getCharacteristic(Characteristic.CurrentTemperature).updateValue(currentTemperature);
+            }
+            if (accessory.getService(Service.TemperatureSensor)) {
+                accessory.getService(Service.TemperatureSensor)
+                    .getCharacteristic(Characteristic.CurrentTemperature).updateValue(currentTemperature);
+            }
+        } else {
+            platform.log("[%s] reported temperature [%s]. Is the sensor plugged in?", accessory.displayName, state.currentTemperature);
+        }
+        if (accessory.getService(Service.TemperatureSensor)) {
+            accessory.getService(Service.TemperatureSensor)
+                .getCharacteristic(Characteristic.StatusActive).updateValue(isAvailable);
+        }
+    }
 
-    platform.log("Updating recorded Characteristic.CurrentTemperature for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, currentTemperature);
-    platform.log("Updating recorded Characteristic.CurrentRelativeHuniditgy for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, currentHumidity);
+    if (state.hasOwnProperty('currentHumidity')) {
+        let currentHumidity = parseFloat(state.currentHumidity);
+        let isAvailable = !isNaN(currentHumidity);
 
-    if (accessory.getService(Service.Thermostat)) {
-        accessory.getService(Service.Thermostat)
-            .setCharacteristic(Characteristic.CurrentTemperature, currentTemperature);
-        accessory.getService(Service.Thermostat)
-            .setCharacteristic(Characteristic.CurrentRelativeHumidity, currentHumidity);
-    }
-    if (accessory.getService(Service.TemperatureSensor)) {
-        accessory.getService(Service.TemperatureSensor)
-            .setCharacteristic(Characteristic.CurrentTemperature, currentTemperature);
-    }
-    if (accessory.getService(Service.HumiditySensor)) {
-        accessory.getService(Service.HumiditySensor)
-            .setCharacteristic(Characteristic.CurrentRelativeHumidity, currentHumidity);
+        if (isAvailable) {
+            accessory.context.currentHumidity = currentHumidity;
+            platform.log("Updating recorded Characteristic.CurrentRelativeHumidity for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, currentHumidity);
+            if (accessory.getService(Service.Thermostat)) {
+                accessory.getService(Service.Thermostat)
+                    .getCharacteristic(Characteristic.CurrentRelativeHumidity).updateValue(currentHumidity);
+            }
+            if (accessory.getService(Service.HumiditySensor)) {
+                accessory.getService(Service.HumiditySensor)
+                    .getCharacteristic(Characteristic.CurrentRelativeHumidity).updateValue(currentHumidity);
+            }
+        } else {
+            platform.log("[%s] reported humidity [%s]. Is the sensor plugged in?", accessory.displayName, state.currentHumidity);
+        }
+        if (accessory.getService(Service.HumiditySensor)) {
+            accessory.getService(Service.HumiditySensor)
+                .getCharacteristic(Characteristic.StatusActive).updateValue(isAvailable);
+        }
     }
 
 };
 
-eWeLink.prototype.updateBlindStateCharacteristic = function (deviceId, switches, device = null) {
+eWeLink.prototype.updateBrightnessCharacteristic = function (deviceId, state) {
 
     // Used when we receive an update from an external source
 
@@ -977,43 +1394,144 @@ eWeLink.prototype.updateBlindStateCharacteristic = function (deviceId, switches,
 
     let accessory = platform.accessories.get(deviceId);
 
-    if (typeof accessory === 'undefined' && device) {
-        platform.log("Adding accessory for deviceId [%s].", deviceId);
-        platform.addAccessory(device, deviceId);
-        accessory = platform.accessories.get(deviceId);
-    }
-
     if (!accessory) {
         platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
         return;
     }
 
-    let state = platform.getBlindState(switches, accessory);
-    // platform.log("blindStae_debug:", state)
-    // [0,0] = 0 => 2 Stopped
-    // [0,1] = 1 => 1 Moving down
-    // [1,0] = 2 => 0 Moving up
-    // [1,1] = 3 => Error
+    // Light strips also report "bright", they are updated by updateLightCharacteristic()
+    if (accessory.context.deviceType !== 'SINGLE_CHANNEL_DIMMER_SWITCH' || !state.hasOwnProperty('bright')) {
+        return;
+    }
 
-    let stateString = ["Moving up", "Moving down", "Stopped", "Error!"];
-    let service = accessory.getService(Service.WindowCovering);
-    let actualPosition;
+    // The dimmer accepts a brightness between 10 and 100
+    let brightness = Math.round((parseInt(state.bright) - 10) * 10 / 9);
+    brightness = Math.min(Math.max(brightness, 0), 100);
+    accessory.context.brightness = brightness;
 
-    // platform.log("accessory.context.currentPositionState:", accessory.context.currentPositionState);
+    platform.log("Updating recorded Characteristic.Brightness for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, brightness);
 
-    switch (state) {
-        case 3:
-            platform.log("[%s] ERROR : positionState: %s. Force stop!", accessory.displayName, state);
-            actualPosition = platform.actualPosition(accessory);
-            accessory.context.currentTargetPosition = actualPosition;
-            accessory.context.targetTimestamp = Date.now() + 10;
-            service.setCharacteristic(Characteristic.TargetPosition, actualPosition);
-            break;
-        case 2:
-            if (accessory.context.currentPositionState == 2) {
+    accessory.getService(Service.Lightbulb)
+        .getCharacteristic(Characteristic.Brightness).updateValue(brightness);
+};
+
+eWeLink.prototype.updateThermostatCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    let service = accessory.getService(Service.Thermostat);
+    if (!service) {
+        return;
+    }
+
+    // Updates only contain the changed params
+    let params = state;
+    let deviceInformationFromWebApi = platform.devicesFromApi.get(deviceId);
+    if (deviceInformationFromWebApi) {
+        if (deviceInformationFromWebApi.params !== state) {
+            Object.assign(deviceInformationFromWebApi.params, state);
+        }
+        params = deviceInformationFromWebApi.params;
+    }
+
+    let targetHigh, targetLow;
+    (params.targets || []).forEach(function (target) {
+        if (target.hasOwnProperty('targetHigh')) {
+            targetHigh = target;
+        } else if (target.hasOwnProperty('targetLow')) {
+            targetLow = target;
+        }
+    });
+
+    let previousState = accessory.context.targetHeatingCoolingState;
+    let previousTemperature = accessory.context.targetTemperature;
+    let targetState = Characteristic.TargetHeatingCoolingState.OFF;
+    if (params.deviceType === 'temperature' && params.mainSwitch !== 'off' && targetHigh && targetLow) {
+        // Heating turns the relay on below targetLow, cooling turns it on above targetHigh
+        if (targetLow.reaction && targetLow.reaction.switch === 'on') {
+            targetState = Characteristic.TargetHeatingCoolingState.HEAT;
+        } else {
+            targetState = Characteristic.TargetHeatingCoolingState.COOL;
+        }
+        accessory.context.targetTemperature = (parseFloat(targetHigh.targetHigh) + parseFloat(targetLow.targetLow)) / 2;
+    }
+    accessory.context.targetHeatingCoolingState = targetState;
+    accessory.context.isOn = params.switch === 'on';
+
+    // Called on every switch update, only logging the changes
+    if (targetState !== previousState || accessory.context.targetTemperature !== previousTemperature) {
+        platform.log("Updating recorded thermostat state for [%s] to [%s], target temperature [%s]. No request will be sent to the device.", accessory.displayName, targetState, accessory.context.targetTemperature);
+    }
+
+    service.getCharacteristic(Characteristic.TargetHeatingCoolingState).updateValue(targetState);
+    if (accessory.context.targetTemperature !== undefined) {
+        service.getCharacteristic(Characteristic.TargetTemperature).updateValue(accessory.context.targetTemperature);
+    }
+    platform.getCurrentHeatingCoolingState(accessory, function (error, currentState) {
+        service.getCharacteristic(Characteristic.CurrentHeatingCoolingState).updateValue(currentState);
+    });
+};
+
+eWeLink.prototype.updateBlindStateCharacteristic = function (deviceId, device = null) {
+
+    // Used when we receive an update from an external source
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (typeof accessory === 'undefined' && device) {
+        platform.log("Adding accessory for deviceId [%s].", deviceId);
+        platform.addAccessory(device, deviceId);
+        accessory = platform.accessories.get(deviceId);
+    }
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    let state = platform.getBlindState(accessory);
+    // platform.log("blindStae_debug:", state)
+    // [0,0] = 0 => 2 Stopped
+    // [0,1] = 1 => 1 Moving down
+    // [1,0] = 2 => 0 Moving up
+    // [1,1] = 3 => Error
+
+    let stateString = ["Moving up", "Moving down", "Stopped", "Error!"];
+    let service = accessory.getService(Service.WindowCovering);
+    let actualPosition;
+
+    // platform.log("accessory.context.currentPositionState:", accessory.context.currentPositionState);
+
+    switch (state) {
+        case 3:
+            platform.log("[%s] ERROR : positionState: %s. Force stop!", accessory.displayName, state);
+            accessory.context.pendingTargetPosition = undefined;
+            accessory.context.pendingTiltAngle = undefined;
+            accessory.context.calibrating = false;
+            actualPosition = platform.actualPosition(accessory);
+            accessory.context.currentTargetPosition = actualPosition;
+            accessory.context.targetTimestamp = Date.now() + 10;
+            service.setCharacteristic(Characteristic.TargetPosition, actualPosition);
+            break;
+        case 2:
+            if (accessory.context.currentPositionState == 2) {
                 platform.log("[%s] received new positionState: %s (%s). Already stopped. Nothing to do.", accessory.displayName, state, stateString[state]);
                 return;
             }
+            accessory.context.pendingTargetPosition = undefined;
+            accessory.context.pendingTiltAngle = undefined;
+            accessory.context.calibrating = false;
             actualPosition = platform.actualPosition(accessory);
             platform.log("[%s] received new positionState when moving: %s (%s). Targuet pos: %s", accessory.displayName, state, stateString[state], actualPosition);
             accessory.context.currentTargetPosition = actualPosition;
@@ -1512,188 +2030,120 @@ eWeLink.prototype.getFanSpeed = function (accessory, callback) {
 
 eWeLink.prototype.getCurrentTemperature = function (accessory, callback) {
     let platform = this;
-
-    platform.log("Requesting current temperature for [%s]", accessory.displayName);
-
-    this.webClient.get('/api/user/device?' + this.getArguments(), function (err, res, body) {
-
-        if (err) {
-            platform.log("An error was encountered while requesting a list of devices while interrogating current temperature. Verify your configuration options. Error was [%s]", err);
-            return;
-        } else if (!body) {
-            platform.log("An error was encountered while requesting a list of devices while interrogating current temperature. Verify your configuration options. No data in response.", err);
-            return;
-        } else if (body.hasOwnProperty('error') && body.error != 0) {
-            platform.log("An error was encountered while requesting a list of devices while interrogating current temperature. Verify your configuration options. Response was [%s]", JSON.stringify(body));
-            callback('An error was encountered while requesting a list of devices to interrogate current temperature for your device');
-            return;
-        }
-
-        body = body.devicelist;
-
-        if (body.length < 1) {
-            callback('An error was encountered while requesting a list of devices to interrogate current temperature for your device');
-            accessory.reachable = false;
-            return;
-        }
-
-        let deviceId = accessory.context.deviceId;
-
-        let filteredResponse = body.filter(device => (device.deviceid === deviceId));
-
-        if (filteredResponse.length === 1) {
-
-            let device = filteredResponse[0];
-
-            if (device.deviceid === deviceId) {
-
-                if (device.online !== true) {
-                    accessory.reachable = false;
-                    platform.log("Device [%s] was reported to be offline by the API", accessory.displayName);
-                    callback('API reported that [%s] is not online', device.name);
-                    return;
-                }
-
-                let currentTemperature = device.params.currentTemperature;
-                platform.log("getCurrentTemperature:", currentTemperature);
-
-                if (accessory.getService(Service.Thermostat)) {
-                    accessory.getService(Service.Thermostat).setCharacteristic(Characteristic.CurrentTemperature, currentTemperature);
-                }
-                if (accessory.getService(Service.TemperatureSensor)) {
-                    accessory.getService(Service.TemperatureSensor).setCharacteristic(Characteristic.CurrentTemperature, currentTemperature);
-                }
-                accessory.reachable = true;
-                callback(null, currentTemperature);
-
-            }
-
-        } else if (filteredResponse.length > 1) {
-            // More than one device matches our Device ID. This should not happen.
-            platform.log("ERROR: The response contained more than one device with Device ID [%s]. Filtered response follows.", device.deviceid);
-            platform.log(filteredResponse);
-            callback("The response contained more than one device with Device ID " + device.deviceid);
-
-        } else if (filteredResponse.length < 1) {
-
-            // The device is no longer registered
-
-            platform.log("Device [%s] did not exist in the response. It will be removed", accessory.displayName);
-            platform.removeAccessory(accessory);
-
-        }
-
-    });
-
+    let currentTemperature = accessory.context.currentTemperature;
+    if (currentTemperature === undefined) {
+        currentTemperature = 0;
+    }
+    platform.log("[%s] getCurrentTemperature: %s", accessory.displayName, currentTemperature);
+    callback(null, currentTemperature);
 };
 
 eWeLink.prototype.getCurrentHumidity = function (accessory, callback) {
     let platform = this;
+    let currentHumidity = accessory.context.currentHumidity;
+    if (currentHumidity === undefined) {
+        currentHumidity = 0;
+    }
+    platform.log("[%s] getCurrentHumidity: %s", accessory.displayName, currentHumidity);
+    callback(null, currentHumidity);
+};
 
-    platform.log("Requesting current humidity for [%s]", accessory.displayName);
-
-    this.webClient.get('/api/user/device?' + this.getArguments(), function (err, res, body) {
-
-        if (err) {
-            platform.log("An error was encountered while requesting a list of devices while interrogating current humidity. Verify your configuration options. Error was [%s]", err);
-            return;
-        } else if (!body) {
-            platform.log("An error was encountered while requesting a list of devices while interrogating current humidity. Verify your configuration options. No data in response.", err);
-            return;
-        } else if (body.hasOwnProperty('error') && body.error != 0) {
-            platform.log("An error was encountered while requesting a list of devices while interrogating current humidity. Verify your configuration options. Response was [%s]", JSON.stringify(body));
-            callback('An error was encountered while requesting a list of devices to interrogate current humidity for your device');
-            return;
-        }
-
-        body = body.devicelist;
-
-        if (body.length < 1) {
-            callback('An error was encountered while requesting a list of devices to interrogate current humidity for your device');
-            accessory.reachable = false;
-            return;
-        }
-
-        let deviceId = accessory.context.deviceId;
-
-        let filteredResponse = body.filter(device => (device.deviceid === deviceId));
-
-        if (filteredResponse.length === 1) {
-
-            let device = filteredResponse[0];
-
-            if (device.deviceid === deviceId) {
-
-                if (device.online !== true) {
-                    accessory.reachable = false;
-                    platform.log("Device [%s] was reported to be offline by the API", accessory.displayName);
-                    callback('API reported that [%s] is not online', device.name);
-                    return;
-                }
-
-                let currentHumidity = device.params.currentHumidity;
-                platform.log("getCurrentHumidity:", currentHumidity);
-
-                if (accessory.getService(Service.Thermostat)) {
-                    accessory.getService(Service.Thermostat).setCharacteristic(Characteristic.CurrentRelativeHumidity, currentHumidity);
-                }
-                if (accessory.getService(Service.HumiditySensor)) {
-                    accessory.getService(Service.Thermostat).setCharacteristic(Characteristic.CurrentRelativeHumidity, currentHumidity);
-                }
-                accessory.reachable = true;
-                callback(null, currentHumidity);
-
-            }
-
-        } else if (filteredResponse.length > 1) {
-            // More than one device matches our Device ID. This should not happen.
-            platform.log("ERROR: The response contained more than one device with Device ID [%s]. Filtered response follows.", device.deviceid);
-            platform.log(filteredResponse);
-            callback("The response contained more than one device with Device ID " + device.deviceid);
-
-        } else if (filteredResponse.length < 1) {
-
-            // The device is no longer registered
-
-            platform.log("Device [%s] did not exist in the response. It will be removed", accessory.displayName);
-            platform.removeAccessory(accessory);
+eWeLink.prototype.getCurrentHeatingCoolingState = function (accessory, callback) {
+    let platform = this;
+    let currentState = Characteristic.CurrentHeatingCoolingState.OFF;
+    if (accessory.context.isOn && accessory.context.targetHeatingCoolingState === Characteristic.TargetHeatingCoolingState.HEAT) {
+        currentState = Characteristic.CurrentHeatingCoolingState.HEAT;
+    } else if (accessory.context.isOn && accessory.context.targetHeatingCoolingState === Characteristic.TargetHeatingCoolingState.COOL) {
+        currentState = Characteristic.CurrentHeatingCoolingState.COOL;
+    }
+    platform.log("[%s] getCurrentHeatingCoolingState: %s", accessory.displayName, currentState);
+    callback(null, currentState);
+};
 
-        }
+eWeLink.prototype.getTargetHeatingCoolingState = function (accessory, callback) {
+    let platform = this;
+    let targetState = accessory.context.targetHeatingCoolingState;
+    if (targetState === undefined) {
+        targetState = Characteristic.TargetHeatingCoolingState.OFF;
+    }
+    platform.log("[%s] getTargetHeatingCoolingState: %s", accessory.displayName, targetState);
+    callback(null, targetState);
+};
 
-    });
+eWeLink.prototype.getTargetTemperature = function (accessory, callback) {
+    let platform = this;
+    let targetTemperature = accessory.context.targetTemperature;
+    if (targetTemperature === undefined) {
+        targetTemperature = 20;
+    }
+    platform.log("[%s] getTargetTemperature: %s", accessory.displayName, targetTemperature);
+    callback(null, targetTemperature);
+};
 
+eWeLink.prototype.setTargetHeatingCoolingState = function (accessory, value, callback) {
+    let platform = this;
+    platform.log("[%s] Setting target heating cooling state to [%s]", accessory.displayName, value);
+    accessory.context.targetHeatingCoolingState = value;
+    platform.setThermostatState(accessory, callback);
 };
 
-eWeLink.prototype.setTemperatureState = function (accessory, value, callback) {
+eWeLink.prototype.setTargetTemperature = function (accessory, value, callback) {
     let platform = this;
-    let deviceId = accessory.context.deviceId;
-    let deviceInformationFromWebApi = platform.devicesFromApi.get(deviceId);
-    platform.log("setting temperature: ", value);
-    /*
-    deviceInformationFromWebApi.params.currentHumidity = value;
-    if(accessory.getService(Service.Thermostat)) {
-        accessory.getService(Service.Thermostat).setCharacteristic(Characteristic.CurrentTemperature, value);
-    } else if(accesory.getService(Service.TemperatureSensor)) {
-        accessory.getService(Service.TemperatureSensor).setCharacteristic(Characteristic.CurrentTemperature, value);
+    platform.log("[%s] Setting target temperature to [%s]", accessory.displayName, value);
+    accessory.context.targetTemperature = value;
+
+    if (!accessory.context.targetHeatingCoolingState) {
+        // Thermostat is off, the target will be sent when it is turned on
+        callback();
+        return;
     }
-    */
-    callback();
+    platform.setThermostatState(accessory, callback);
 };
 
-eWeLink.prototype.setHumidityState = function (accessory, value, callback) {
+eWeLink.prototype.setThermostatState = function (accessory, callback) {
     let platform = this;
     let deviceId = accessory.context.deviceId;
+
+    // The TH10 / TH16 auto mode switches the relay by itself when the temperature leaves the
+    // [targetLow, targetHigh] range, so it keeps working even if homebridge is not running.
+    let payload = {};
+    payload.action = 'update';
+    payload.userAgent = 'app';
+    payload.params = {};
+
+    let targetState = accessory.context.targetHeatingCoolingState;
+    if (targetState === Characteristic.TargetHeatingCoolingState.HEAT || targetState === Characteristic.TargetHeatingCoolingState.COOL) {
+        let targetTemperature = accessory.context.targetTemperature === undefined ? 20 : accessory.context.targetTemperature;
+        let hysteresis = platform.config['thermostatHysteresis'] || 1;
+        let isHeating = targetState === Characteristic.TargetHeatingCoolingState.HEAT;
+
+        payload.params.deviceType = 'temperature';
+        payload.params.mainSwitch = 'on';
+        payload.params.targets = [
+            {"targetHigh": '' + (targetTemperature + hysteresis), "reaction": {"switch": isHeating ? 'off' : 'on'}},
+            {"targetLow": '' + (targetTemperature - hysteresis), "reaction": {"switch": isHeating ? 'on' : 'off'}}
+        ];
+    } else {
+        payload.params.deviceType = 'normal';
+        payload.params.mainSwitch = 'off';
+        payload.params.switch = 'off';
+    }
+
+    platform.log("[%s] Setting thermostat to [%s]", accessory.displayName, JSON.stringify(payload.params));
+
     let deviceInformationFromWebApi = platform.devicesFromApi.get(deviceId);
-    platform.log("setting humidity: ", value);
-    /*
-    deviceInformationFromWebApi.params.currentHumidity = value;
-    if(accessory.getService(Service.Thermostat)) {
-        accessory.getService(Service.Thermostat).setCharacteristic(Characteristic.CurrentRelativeHumidity, value);
-    } else if(accesory.getService(Service.HumiditySensor)) {
-        accessory.getService(Service.HumiditySensor).setCharacteristic(Characteristic.CurrentRelativeHumidity, value);
+    if (deviceInformationFromWebApi) {
+        Object.assign(deviceInformationFromWebApi.params, payload.params);
     }
-    */
-    callback();
+
+    payload.apikey = '' + accessory.context.apiKey;
+    payload.deviceid = '' + deviceId;
+    payload.sequence = platform.getSequence();
+
+    let string = JSON.stringify(payload);
+    // platform.log( string );
+
+    platform.sendWebSocketMessage(string, callback);
 };
 
 eWeLink.prototype.sendWebSocketMessage = function (string, callback) {
@@ -1783,28 +2233,41 @@ eWeLink.prototype.setPowerState = function (accessory, isOn, callback) {
 };
 
 
-eWeLink.prototype.setFanLightState = function (accessory, isOn, callback) {
+eWeLink.prototype.getBrightness = function (accessory, callback) {
+    let platform = this;
+    let brightness = accessory.context.brightness;
+    if (brightness === undefined) {
+        brightness = 100;
+    }
+    platform.log("[%s] getBrightness: %s", accessory.displayName, brightness);
+    callback(null, brightness);
+};
+
+eWeLink.prototype.setBrightness = function (accessory, value, callback) {
     let platform = this;
     let options = {};
     let deviceId = accessory.context.deviceId;
     options.protocolVersion = 13;
 
-    let targetState = 'off';
+    platform.log("Setting brightness to [%s] for device [%s]", value, accessory.displayName);
 
-    if (isOn) {
-        targetState = 'on';
-    }
+    accessory.context.brightness = value;
 
-    platform.log("Setting light state to [%s] for device [%s]", targetState, accessory.displayName);
+    if (['RGB_BALL_LIGHT', 'COLD_WARM_LED', 'COLD_WARM_DESK_LIGHT'].indexOf(accessory.context.deviceType) !== -1) {
+        platform.setColor(accessory, callback);
+        return;
+    }
 
     let payload = {};
     payload.action = 'update';
     payload.userAgent = 'app';
     payload.params = {};
-    let deviceInformationFromWebApi = platform.devicesFromApi.get(deviceId);
-    payload.params.switches = deviceInformationFromWebApi.params.switches;
-    payload.params.switches[0].switch = targetState;
-
+    if (accessory.context.deviceType === 'LIGHT_BELT') {
+        payload.params.bright = Math.max(value, 1);
+    } else {
+        // The dimmer accepts a brightness between 10 and 100
+        payload.params.bright = Math.round(value * 9 / 10 + 10);
+    }
     payload.apikey = '' + accessory.context.apiKey;
     payload.deviceid = '' + deviceId;
 
@@ -1814,16 +2277,73 @@ eWeLink.prototype.setFanLightState = function (accessory, isOn, callback) {
     // platform.log( string );
 
     platform.sendWebSocketMessage(string, callback);
-
 };
 
-eWeLink.prototype.setFanState = function (accessory, isOn, callback) {
+eWeLink.prototype.requestPowerReadings = function () {
     let platform = this;
-    let options = {};
-    let deviceId = accessory.context.deviceId;
-    options.protocolVersion = 13;
-
-    let targetState = 'off';
+
+    platform.devicesFromApi.forEach(function (device) {
+        if (!platform.isPowerMonitoringDevice(device)) {
+            return;
+        }
+
+        let payload = {};
+        payload.action = 'update';
+        payload.userAgent = 'app';
+        payload.params = {};
+        payload.params.uiActive = 120;
+        payload.apikey = '' + device.apikey;
+        payload.deviceid = '' + device.deviceid;
+        payload.sequence = platform.getSequence();
+
+        let string = JSON.stringify(payload);
+        // platform.log( string );
+
+        platform.sendWebSocketMessage(string, function(){return;});
+    });
+};
+
+eWeLink.prototype.setFanLightState = function (accessory, isOn, callback) {
+    let platform = this;
+    let options = {};
+    let deviceId = accessory.context.deviceId;
+    options.protocolVersion = 13;
+
+    let targetState = 'off';
+
+    if (isOn) {
+        targetState = 'on';
+    }
+
+    platform.log("Setting light state to [%s] for device [%s]", targetState, accessory.displayName);
+
+    let payload = {};
+    payload.action = 'update';
+    payload.userAgent = 'app';
+    payload.params = {};
+    let deviceInformationFromWebApi = platform.devicesFromApi.get(deviceId);
+    payload.params.switches = deviceInformationFromWebApi.params.switches;
+    payload.params.switches[0].switch = targetState;
+
+    payload.apikey = '' + accessory.context.apiKey;
+    payload.deviceid = '' + deviceId;
+
+    payload.sequence = platform.getSequence();
+
+    let string = JSON.stringify(payload);
+    // platform.log( string );
+
+    platform.sendWebSocketMessage(string, callback);
+
+};
+
+eWeLink.prototype.setFanState = function (accessory, isOn, callback) {
+    let platform = this;
+    let options = {};
+    let deviceId = accessory.context.deviceId;
+    options.protocolVersion = 13;
+
+    let targetState = 'off';
 
     if (isOn) {
         targetState = 'on';
@@ -2104,6 +2624,21 @@ eWeLink.prototype.relogin = function (callback) {
     });
 };
 
+eWeLink.prototype.getDeviceModel = function (device) {
+    // Zigbee sub-devices may not have the extra information of the Wi-Fi devices
+    if (device.extra && device.extra.extra && device.extra.extra.model) {
+        return device.extra.extra.model;
+    }
+    return device.productModel;
+};
+
+eWeLink.prototype.getDeviceSerialNumber = function (device) {
+    if (device.extra && device.extra.extra && device.extra.extra.mac) {
+        return device.extra.extra.mac;
+    }
+    return device.deviceid;
+};
+
 eWeLink.prototype.getDeviceTypeByUiid = function (uiid) {
     const MAPPING = {
         1: "SOCKET",
@@ -2156,10 +2691,15 @@ eWeLink.prototype.getDeviceTypeByUiid = function (uiid) {
         56: "RGB_BALL_LIGHT_4",
         57: "MONOCHROMATIC_BALL_LIGHT",
         59: "MEARICAMERA",
+        66: "ZIGBEE_MAIN_DEVICE",
         77: "MICRO",
+        1000: "ZIGBEE_WIRELESS_SWITCH",
         1001: "BLADELESS_FAN",
         1002: "NEW_HUMIDIFIER",
-        1003: "WARM_AIR_BLOWER"
+        1003: "WARM_AIR_BLOWER",
+        1770: "ZIGBEE_TEMPERATURE_AND_HUMIDITY_SENSOR",
+        2026: "ZIGBEE_MOBILE_SENSOR",
+        3026: "ZIGBEE_DOOR_AND_WINDOW_SENSOR"
     };
     return MAPPING[uiid] || "";
 };
@@ -2174,6 +2714,7 @@ eWeLink.prototype.getDeviceChannelCountByType = function (deviceType) {
         SOCKET_POWER: 1,
         GSM_SOCKET: 1,
         POWER_DETECTION_SOCKET: 1,
+        SINGLE_CHANNEL_DIMMER_SWITCH: 1,
         MICRO: 4,
         SOCKET_2: 2,
         GSM_SOCKET_2: 2,
@@ -2190,6 +2731,63 @@ eWeLink.prototype.getDeviceChannelCountByType = function (deviceType) {
     return DEVICE_CHANNEL_LENGTH[deviceType] || 0;
 };
 
+eWeLink.prototype.isPowerMonitoringDevice = function (device) {
+    return ['SOCKET_POWER', 'POWER_DETECTION_SOCKET'].indexOf(this.getDeviceTypeByUiid(device.uiid)) !== -1;
+};
+
+eWeLink.prototype.getPrimaryServiceType = function (device) {
+    // Main service of single channel devices which are not exposed as a Switch
+    const SERVICE_TYPES = {
+        SOCKET_POWER: Service.Outlet,
+        POWER_DETECTION_SOCKET: Service.Outlet,
+        SINGLE_CHANNEL_DIMMER_SWITCH: Service.Lightbulb,
+        RGB_BALL_LIGHT: Service.Lightbulb,
+        COLD_WARM_LED: Service.Lightbulb,
+        COLD_WARM_DESK_LIGHT: Service.Lightbulb,
+        LIGHT_BELT: Service.Lightbulb,
+        CURTAIN: Service.WindowCovering,
+        SENSORS_CENTER: Service.AirQualitySensor
+    };
+    if (this.isLightStrip(device)) {
+        return Service.Lightbulb;
+    }
+    let deviceType = this.getDeviceTypeByUiid(device.uiid);
+    if (this.getAirDeviceConfig(deviceType)) {
+        return this.getAirDeviceConfig(deviceType).service;
+    }
+    return SERVICE_TYPES[deviceType] || this.getZigbeeServiceType(deviceType);
+};
+
+eWeLink.prototype.isLightStrip = function (device) {
+    return this.getDeviceTypeByUiid(device.uiid) === 'LIGHT_BELT' || device.params.hasOwnProperty('colorR');
+};
+
+eWeLink.prototype.isGroupAccessory = function (accessory) {
+    // Blinds cached before the group type was stored are the only group accessories with a WindowCovering
+    return accessory.context.groupType !== undefined ||
+        (!!accessory.getService(Service.WindowCovering) && accessory.context.deviceType !== 'CURTAIN');
+};
+
+eWeLink.prototype.isSensorDevice = function (device) {
+    return this.getDeviceTypeByUiid(device.uiid) === 'THERMOSTAT' || device.params.hasOwnProperty('currentTemperature') || device.params.hasOwnProperty('currentHumidity');
+};
+
+eWeLink.prototype.hasHumiditySensor = function (device) {
+    // The DS18B20 probe only measures the temperature. AM2301 and Si7021 also measure the humidity.
+    if (device.params.sensorType === 'DS18B20') {
+        return false;
+    }
+    return this.getDeviceTypeByUiid(device.uiid) === 'THERMOSTAT' || device.params.hasOwnProperty('currentHumidity');
+};
+
+eWeLink.prototype.hasSensorTypeChanged = function (device, accessory) {
+    // Only check when a known probe is plugged in, to avoid re-creating the accessory while it is unplugged
+    if (!this.isSensorDevice(device) || ['AM2301', 'DS18B20', 'Si7021'].indexOf(device.params.sensorType) === -1) {
+        return false;
+    }
+    return !!accessory.getService(Service.HumiditySensor) !== this.hasHumiditySensor(device);
+};
+
 eWeLink.prototype.getDeviceChannelCount = function (device) {
     let deviceType = this.getDeviceTypeByUiid(device.uiid);
     this.log('Device type for %s is %s', device.uiid, deviceType);
@@ -2293,145 +2891,2341 @@ WebSocketClient.prototype.onclose = function (e) {
 };
 
 //////////////
-// Blind Stuff
+// Light Stuff
 //////////////
 
-eWeLink.prototype.getBlindState = function (switches, accessory) {
+// Effect modes of the light strips exposed as switches. Mode 1 is the static colour.
+const LIGHT_STRIP_EFFECTS = {
+    2: "Colorful Gradient",
+    3: "Colorful Breath",
+    8: "RGB Gradient",
+    9: "RGB Pulse",
+    10: "RGB Breath",
+    11: "RGB Strobe",
+    12: "Music"
+};
 
+eWeLink.prototype.configureLightService = function (accessory, service) {
+    // Binds the Lightbulb characteristics supported by the device. Called from addAccessory() and configureAccessory().
     let platform = this;
-    // platform.log("Switches: %s", switches);
-    var switch0 = 0;
-    if (switches[accessory.context.switchUp].switch === 'on') {
-        switch0 = 1;
+
+    if (['SINGLE_CHANNEL_DIMMER_SWITCH', 'LIGHT_BELT'].indexOf(accessory.context.deviceType) !== -1) {
+        service.getCharacteristic(Characteristic.On)
+            .on('set', function (value, callback) {
+                platform.setPowerState(accessory, value, callback);
+            })
+            .on('get', function (callback) {
+                platform.getPowerState(accessory, callback);
+            });
+    } else {
+        service.getCharacteristic(Characteristic.On)
+            .on('set', function (value, callback) {
+                platform.setLightState(accessory, value, callback);
+            })
+            .on('get', function (callback) {
+                platform.getLightState(accessory, callback);
+            });
     }
 
-    var switch1 = 0;
-    if (switches[accessory.context.switchDown].switch === 'on') {
-        switch1 = 1;
+    service.getCharacteristic(Characteristic.Brightness)
+        .on('set', function (value, callback) {
+            platform.setBrightness(accessory, value, callback);
+        })
+        .on('get', function (callback) {
+            platform.getBrightness(accessory, callback);
+        });
+
+    if (['RGB_BALL_LIGHT', 'LIGHT_BELT'].indexOf(accessory.context.deviceType) !== -1) {
+        service.getCharacteristic(Characteristic.Hue)
+            .on('set', function (value, callback) {
+                platform.setHue(accessory, value, callback);
+            })
+            .on('get', function (callback) {
+                platform.getHue(accessory, callback);
+            });
+        service.getCharacteristic(Characteristic.Saturation)
+            .on('set', function (value, callback) {
+                platform.setSaturation(accessory, value, callback);
+            })
+            .on('get', function (callback) {
+                platform.getSaturation(accessory, callback);
+            });
     }
 
-    let sum = (switch0 * 2) + switch1;
+    if (['RGB_BALL_LIGHT', 'COLD_WARM_LED', 'COLD_WARM_DESK_LIGHT'].indexOf(accessory.context.deviceType) !== -1) {
+        service.getCharacteristic(Characteristic.ColorTemperature)
+            .setProps({
+                minValue: 140,
+                maxValue: 500
+            })
+            .on('set', function (value, callback) {
+                platform.setColorTemperature(accessory, value, callback);
+            })
+            .on('get', function (callback) {
+                platform.getColorTemperature(accessory, callback);
+            });
+    }
 
-    // this.log("Sum: ", sum);
-    // [0,0] = 0 => 2 Stopped
-    // [0,1] = 1 => 1 Moving down
-    // [1,0] = 2 => 0 Moving up
-    // [1,1] = 3 => Error
+    // The colour temperature follows the time of the day. The controller has to be configured again on every launch.
+    if (['COLD_WARM_LED', 'COLD_WARM_DESK_LIGHT'].indexOf(accessory.context.deviceType) !== -1 && AdaptiveLightingController && accessory.configureController) {
+        accessory.adaptiveLightingController = new AdaptiveLightingController(service);
+        accessory.configureController(accessory.adaptiveLightingController);
+    }
 
-    const MAPPING = {
-        0: 2,
-        1: 1,
-        2: 0,
-        3: 3
-    };
-    // this.log("Sum: %s => Blind State: %s", sum, MAPPING[sum]);
-    return MAPPING[sum];
+    if (accessory.context.deviceType === 'LIGHT_BELT') {
+        Object.keys(LIGHT_STRIP_EFFECTS).forEach(function (mode) {
+            let effect = accessory.getServiceByUUIDAndSubType(Service.Switch, 'effect' + mode);
+            if (!effect) {
+                return;
+            }
+            effect.getCharacteristic(Characteristic.On)
+                .on('set', function (value, callback) {
+                    platform.setLightEffect(accessory, value ? parseInt(mode) : 1, callback);
+                })
+                .on('get', function (callback) {
+                    platform.getLightEffect(accessory, parseInt(mode), callback);
+                });
+        });
+    }
 };
-eWeLink.prototype.getCurrentPosition = function (accessory, callback) {
+
+eWeLink.prototype.getLightState = function (accessory, callback) {
     let platform = this;
-    let lastPosition = accessory.context.lastPosition;
-    if (lastPosition === undefined) {
-        lastPosition = 0;
-    }
-    platform.log("[%s] getCurrentPosition: %s", accessory.displayName, lastPosition);
-    callback(null, lastPosition);
+    let isOn = !!accessory.context.isOn;
+    platform.log("[%s] getLightState: %s", accessory.displayName, isOn);
+    callback(null, isOn);
 };
 
-eWeLink.prototype.getPositionState = function (accessory, callback) {
+eWeLink.prototype.getHue = function (accessory, callback) {
     let platform = this;
+    let hue = accessory.context.hue || 0;
+    platform.log("[%s] getHue: %s", accessory.displayName, hue);
+    callback(null, hue);
+};
 
-    if (!platform.webClient) {
-        callback('platform.webClient not yet ready while obtaining power status for your device');
-        accessory.reachable = false;
-        return;
+eWeLink.prototype.getSaturation = function (accessory, callback) {
+    let platform = this;
+    let saturation = accessory.context.saturation || 0;
+    platform.log("[%s] getSaturation: %s", accessory.displayName, saturation);
+    callback(null, saturation);
+};
+
+eWeLink.prototype.getLightEffect = function (accessory, mode, callback) {
+    let platform = this;
+    let isOn = accessory.context.mode === mode;
+    platform.log("[%s] getLightEffect [%s]: %s", accessory.displayName, LIGHT_STRIP_EFFECTS[mode], isOn);
+    callback(null, isOn);
+};
+
+eWeLink.prototype.getColorTemperature = function (accessory, callback) {
+    let platform = this;
+    let colorTemperature = accessory.context.colorTemperature || 140;
+    platform.log("[%s] getColorTemperature: %s", accessory.displayName, colorTemperature);
+    callback(null, colorTemperature);
+};
+
+eWeLink.prototype.setLightState = function (accessory, isOn, callback) {
+    let platform = this;
+    let options = {};
+    let deviceId = accessory.context.deviceId;
+    options.protocolVersion = 13;
+
+    let targetState = 'off';
+
+    if (isOn) {
+        targetState = 'on';
     }
 
-    platform.log("Requesting power state for [%s]", accessory.displayName);
+    platform.log("Setting light state to [%s] for device [%s]", targetState, accessory.displayName);
 
-    this.webClient.get('/api/user/device?' + this.getArguments(), function (err, res, body) {
+    accessory.context.isOn = isOn;
 
-        if (err) {
-            platform.log("An error was encountered while requesting a list of devices while interrogating current temperature. Verify your configuration options. Error was [%s]", err);
-            return;
-        } else if (!body) {
-            platform.log("An error was encountered while requesting a list of devices while interrogating current temperature. Verify your configuration options. No data in response.", err);
-            return;
-        } else if (body.hasOwnProperty('error') && body.error != 0) {
-            platform.log("An error was encountered while requesting a list of devices while interrogating current temperature. Verify your configuration options. Response was [%s]", JSON.stringify(body));
-            callback('An error was encountered while requesting a list of devices to interrogate current temperature for your device');
-            return;
-        }
+    let payload = {};
+    payload.action = 'update';
+    payload.userAgent = 'app';
+    payload.params = {};
+    // The B1 and the cold / warm LED use "state" instead of "switch"
+    if (accessory.context.deviceType === 'COLD_WARM_DESK_LIGHT') {
+        payload.params.switch = targetState;
+    } else {
+        payload.params.state = targetState;
+    }
+    payload.apikey = '' + accessory.context.apiKey;
+    payload.deviceid = '' + deviceId;
 
-        body = body.devicelist;
+    payload.sequence = platform.getSequence();
 
-        if (body.length < 1) {
-            callback('An error was encountered while requesting a list of devices to interrogate power status for your device');
-            accessory.reachable = false;
-            return;
-        }
-        let deviceId = accessory.context.deviceId;
-        if (accessory.context.switches > 1) {
-            deviceId = deviceId.replace("CH" + accessory.context.channel, "");
-        }
-        let filteredResponse = body.filter(device => (device.deviceid === deviceId));
-        if (filteredResponse.length === 1) {
-            let device = filteredResponse[0];
-            if (device.deviceid === deviceId) {
-                if (device.online !== true) {
-                    accessory.reachable = false;
-                    platform.log("Device [%s] was reported to be offline by the API", accessory.displayName);
-                    callback('API reported that [%s] is not online', device.name);
-                    return;
-                }
-                let switchesAmount = platform.getDeviceChannelCount(device);
-                for (let i = 0; i !== switchesAmount; i++) {
-                    if (device.params.switches[i].switch === 'on') {
-                        accessory.reachable = true;
-                        platform.log('API reported that [%s] CH %s is On', device.name, i);
-                    }
-                }
-                let blindState = platform.getBlindState(device.params.switches, accessory);
-                platform.log("[%s] Requested CurrentPositionState: %s", accessory.displayName, blindState);
-                // Handling error;
-                if (blindState > 2) {
-                    blindState = 2;
-                    accessory.context.currentPositionState = 2;
-                    platform.setFinalBlindsState(accessory);
-                    platform.log("[%s] Error! Stopping!", accessory.displayName);
-                }
-                callback(null, blindState);
-            }
-        } else if (filteredResponse.length > 1) {
-            // More than one device matches our Device ID. This should not happen.
-            platform.log("ERROR: The response contained more than one device with Device ID [%s]. Filtered response follows.", device.deviceid);
-            platform.log(filteredResponse);
-            callback("The response contained more than one device with Device ID " + device.deviceid);
+    let string = JSON.stringify(payload);
+    // platform.log( string );
 
-        } else if (filteredResponse.length < 1) {
-            // The device is no longer registered
-            platform.log("Device [%s] did not exist in the response. It will be removed", accessory.displayName);
-            platform.removeAccessory(accessory);
-        }
-    });
+    platform.sendWebSocketMessage(string, callback);
 };
 
-eWeLink.prototype.getTargetPosition = function (accessory, callback) {
+eWeLink.prototype.setLightEffect = function (accessory, mode, callback) {
     let platform = this;
-    let currentTargetPosition = accessory.context.currentTargetPosition;
-    platform.log("[%s] getTargetPosition: %s", accessory.displayName, currentTargetPosition);
-    callback(null, currentTargetPosition);
-};
+    let options = {};
+    let deviceId = accessory.context.deviceId;
+    options.protocolVersion = 13;
 
-eWeLink.prototype.setTargetPosition = function (accessory, pos, callback) {
+    platform.log("Setting light effect to [%s] for device [%s]", LIGHT_STRIP_EFFECTS[mode] || 'Colorful', accessory.displayName);
 
-    let platform = this;
-    platform.log("[%s] Setting new target position to %s, was: %s", accessory.displayName, pos, accessory.context.currentTargetPosition);
+    accessory.context.mode = mode;
 
-    let timestamp = Date.now();
+    let payload = {};
+    payload.action = 'update';
+    payload.userAgent = 'app';
+    payload.params = {};
+    payload.params.mode = mode;
+    payload.apikey = '' + accessory.context.apiKey;
+    payload.deviceid = '' + deviceId;
 
-    if (accessory.context.currentPositionState != 2) {
+    payload.sequence = platform.getSequence();
 
-        var diffPosition = Math.abs(pos - accessory.context.currentTargetPosition);
+    let string = JSON.stringify(payload);
+    // platform.log( string );
+
+    platform.sendWebSocketMessage(string, callback);
+
+    platform.updateLightEffectCharacteristic(accessory);
+};
+
+eWeLink.prototype.setHue = function (accessory, value, callback) {
+    let platform = this;
+    platform.log("Setting hue to [%s] for device [%s]", value, accessory.displayName);
+    accessory.context.hue = value;
+    accessory.context.colorMode = 'color';
+    platform.setColor(accessory, callback);
+};
+
+eWeLink.prototype.setSaturation = function (accessory, value, callback) {
+    let platform = this;
+    platform.log("Setting saturation to [%s] for device [%s]", value, accessory.displayName);
+    accessory.context.saturation = value;
+    accessory.context.colorMode = 'color';
+    platform.setColor(accessory, callback);
+};
+
+eWeLink.prototype.setColorTemperature = function (accessory, value, callback) {
+    let platform = this;
+    platform.log("Setting color temperature to [%s] for device [%s]", value, accessory.displayName);
+    accessory.context.colorTemperature = value;
+    accessory.context.colorMode = 'white';
+    platform.setColor(accessory, callback);
+};
+
+eWeLink.prototype.setColor = function (accessory, callback) {
+    // The Home app writes the hue, the saturation and the brightness one after the other,
+    // they are sent to the device in one request
+    let platform = this;
+    accessory.colorCallbacks = (accessory.colorCallbacks || []).concat(callback);
+    clearTimeout(accessory.colorTimer);
+    // Not stored in the context as it is saved to the cache
+    accessory.colorTimer = setTimeout(function () {
+        let callbacks = accessory.colorCallbacks;
+        accessory.colorCallbacks = [];
+        platform.sendColor(accessory, function (error) {
+            callbacks.forEach(function (pendingCallback) {
+                pendingCallback(error);
+            });
+        });
+    }, 50);
+};
+
+eWeLink.prototype.sendColor = function (accessory, callback) {
+    let platform = this;
+    let options = {};
+    let deviceId = accessory.context.deviceId;
+    options.protocolVersion = 13;
+
+    let brightness = accessory.context.brightness === undefined ? 100 : accessory.context.brightness;
+
+    let payload = {};
+    payload.action = 'update';
+    payload.userAgent = 'app';
+    payload.params = {};
+
+    // Light strips take the colour at full brightness, and the brightness apart (1 - 100).
+    // Mode 1 is the static colour, the other modes are the effects.
+    // The B1 has 5 channels: cold white, warm white, red, green and blue (0 - 255).
+    // zyx_mode 1 is the white mode, 2 the colour mode.
+    // The cold / warm LED only has the 2 white channels, the desk light takes the colour temperature
+    // (0 warm - 100 cold) and the brightness (0 - 100).
+    if (accessory.context.deviceType === 'COLD_WARM_DESK_LIGHT') {
+        let colorTemperature = accessory.context.colorTemperature || 140;
+        payload.params.colorTemp = Math.round((500 - colorTemperature) / (500 - 140) * 100);
+        payload.params.brightness = brightness;
+    } else if (accessory.context.deviceType === 'COLD_WARM_LED') {
+        let colorTemperature = accessory.context.colorTemperature || 140;
+        let warm = (colorTemperature - 140) / (500 - 140);
+        payload.params.channel0 = '' + Math.round((1 - warm) * 255 * brightness / 100);
+        payload.params.channel1 = '' + Math.round(warm * 255 * brightness / 100);
+    } else if (accessory.context.deviceType === 'LIGHT_BELT') {
+        let rgb = hsvToRgb(accessory.context.hue || 0, accessory.context.saturation || 0, 100);
+        accessory.context.mode = 1;
+        payload.params.mode = 1;
+        payload.params.colorR = rgb[0];
+        payload.params.colorG = rgb[1];
+        payload.params.colorB = rgb[2];
+        payload.params.bright = Math.max(brightness, 1);
+    } else if (accessory.context.colorMode === 'white') {
+        let colorTemperature = accessory.context.colorTemperature || 140;
+        let warm = (colorTemperature - 140) / (500 - 140);
+        payload.params.zyx_mode = 1;
+        payload.params.channel0 = '' + Math.round((1 - warm) * 255 * brightness / 100);
+        payload.params.channel1 = '' + Math.round(warm * 255 * brightness / 100);
+        payload.params.channel2 = '0';
+        payload.params.channel3 = '0';
+        payload.params.channel4 = '0';
+    } else {
+        let rgb = hsvToRgb(accessory.context.hue || 0, accessory.context.saturation || 0, brightness);
+        payload.params.zyx_mode = 2;
+        payload.params.channel0 = '0';
+        payload.params.channel1 = '0';
+        payload.params.channel2 = '' + rgb[0];
+        payload.params.channel3 = '' + rgb[1];
+        payload.params.channel4 = '' + rgb[2];
+    }
+
+    platform.log("Setting color to [%s] for device [%s]", JSON.stringify(payload.params), accessory.displayName);
+
+    let deviceInformationFromWebApi = platform.devicesFromApi.get(deviceId);
+    if (deviceInformationFromWebApi) {
+        Object.assign(deviceInformationFromWebApi.params, payload.params);
+    }
+
+    payload.apikey = '' + accessory.context.apiKey;
+    payload.deviceid = '' + deviceId;
+
+    payload.sequence = platform.getSequence();
+
+    let string = JSON.stringify(payload);
+    // platform.log( string );
+
+    platform.sendWebSocketMessage(string, callback);
+
+    if (accessory.context.deviceType === 'LIGHT_BELT') {
+        platform.updateLightEffectCharacteristic(accessory);
+    }
+};
+
+eWeLink.prototype.updateLightCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    let service = accessory.getService(Service.Lightbulb);
+    if (!service) {
+        return;
+    }
+
+    // Updates only contain the changed params, the colour is computed from all the channels
+    let params = state;
+    let deviceInformationFromWebApi = platform.devicesFromApi.get(deviceId);
+    if (deviceInformationFromWebApi) {
+        if (deviceInformationFromWebApi.params !== state) {
+            Object.assign(deviceInformationFromWebApi.params, state);
+        }
+        params = deviceInformationFromWebApi.params;
+    }
+    let hasColor = ['colorR', 'colorG', 'colorB', 'zyx_mode', 'channel0', 'channel1', 'channel2', 'channel3', 'channel4'].some(function (key) {
+        return state.hasOwnProperty(key);
+    });
+
+    if (state.hasOwnProperty('state')) {
+        accessory.context.isOn = state.state === 'on';
+    } else if (state.hasOwnProperty('switch')) {
+        accessory.context.isOn = state.switch === 'on';
+    }
+
+    if (accessory.context.deviceType === 'LIGHT_BELT') {
+        if (hasColor) {
+            let hsv = rgbToHsv(parseInt(params.colorR) || 0, parseInt(params.colorG) || 0, parseInt(params.colorB) || 0);
+            accessory.context.colorMode = 'color';
+            accessory.context.hue = hsv[0];
+            accessory.context.saturation = hsv[1];
+        }
+        if (state.hasOwnProperty('bright')) {
+            accessory.context.brightness = parseInt(state.bright);
+        }
+        if (state.hasOwnProperty('mode')) {
+            accessory.context.mode = parseInt(state.mode);
+        }
+        platform.updateLightEffectCharacteristic(accessory);
+    } else if (accessory.context.deviceType === 'COLD_WARM_DESK_LIGHT') {
+        accessory.context.colorMode = 'white';
+        if (state.hasOwnProperty('brightness')) {
+            accessory.context.brightness = parseInt(state.brightness);
+        }
+        if (state.hasOwnProperty('colorTemp')) {
+            accessory.context.colorTemperature = Math.round(500 - parseInt(state.colorTemp) / 100 * (500 - 140));
+        }
+    } else if (!hasColor) {
+        // Nothing else to update
+    } else if (parseInt(params.zyx_mode) === 1 || accessory.context.deviceType === 'COLD_WARM_LED') {
+        let cold = parseInt(params.channel0) || 0;
+        let warm = parseInt(params.channel1) || 0;
+        accessory.context.colorMode = 'white';
+        accessory.context.brightness = Math.min(Math.round((cold + warm) / 255 * 100), 100);
+        if (cold + warm > 0) {
+            accessory.context.colorTemperature = Math.round(140 + (warm / (cold + warm)) * (500 - 140));
+        }
+    } else if (parseInt(params.zyx_mode) === 2) {
+        let hsv = rgbToHsv(parseInt(params.channel2) || 0, parseInt(params.channel3) || 0, parseInt(params.channel4) || 0);
+        accessory.context.colorMode = 'color';
+        accessory.context.hue = hsv[0];
+        accessory.context.saturation = hsv[1];
+        accessory.context.brightness = hsv[2];
+    }
+
+    platform.log("Updating recorded light state for [%s] to [%s], mode [%s], brightness [%s]. No request will be sent to the device.", accessory.displayName, accessory.context.isOn, accessory.context.colorMode, accessory.context.brightness);
+
+    service.getCharacteristic(Characteristic.On).updateValue(!!accessory.context.isOn);
+    if (accessory.context.brightness !== undefined) {
+        service.getCharacteristic(Characteristic.Brightness).updateValue(accessory.context.brightness);
+    }
+    if (accessory.context.colorMode === 'color') {
+        service.getCharacteristic(Characteristic.Hue).updateValue(accessory.context.hue);
+        service.getCharacteristic(Characteristic.Saturation).updateValue(accessory.context.saturation);
+    } else if (accessory.context.colorMode === 'white' && accessory.context.colorTemperature) {
+        // A colour temperature set from the eWeLink app stops the adaptive lighting
+        let currentColorTemperature = service.getCharacteristic(Characteristic.ColorTemperature).value;
+        if (accessory.adaptiveLightingController && accessory.adaptiveLightingController.isAdaptiveLightingActive() && Math.abs(currentColorTemperature - accessory.context.colorTemperature) > 5) {
+            platform.log("[%s] colour temperature changed outside of HomeKit. Adaptive lighting is disabled.", accessory.displayName);
+            accessory.adaptiveLightingController.disableAdaptiveLighting();
+        }
+        service.getCharacteristic(Characteristic.ColorTemperature).updateValue(accessory.context.colorTemperature);
+    }
+};
+
+eWeLink.prototype.updateLightEffectCharacteristic = function (accessory) {
+    // Only the switch of the running effect is on
+    Object.keys(LIGHT_STRIP_EFFECTS).forEach(function (mode) {
+        let effect = accessory.getServiceByUUIDAndSubType(Service.Switch, 'effect' + mode);
+        if (effect) {
+            effect.getCharacteristic(Characteristic.On).updateValue(accessory.context.mode === parseInt(mode));
+        }
+    });
+};
+
+function hsvToRgb(hue, saturation, value) {
+    // hue 0 - 360, saturation and value 0 - 100 => [r, g, b] 0 - 255
+    let s = saturation / 100;
+    let v = value / 100;
+    let c = v * s;
+    let x = c * (1 - Math.abs((hue / 60) % 2 - 1));
+    let m = v - c;
+    let rgb;
+
+    if (hue < 60) {
+        rgb = [c, x, 0];
+    } else if (hue < 120) {
+        rgb = [x, c, 0];
+    } else if (hue < 180) {
+        rgb = [0, c, x];
+    } else if (hue < 240) {
+        rgb = [0, x, c];
+    } else if (hue < 300) {
+        rgb = [x, 0, c];
+    } else {
+        rgb = [c, 0, x];
+    }
+    return rgb.map(function (channel) {
+        return Math.round((channel + m) * 255);
+    });
+}
+
+function rgbToHsv(r, g, b) {
+    // [r, g, b] 0 - 255 => hue 0 - 360, saturation and value 0 - 100
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    let max = Math.max(r, g, b);
+    let min = Math.min(r, g, b);
+    let delta = max - min;
+    let hue = 0;
+
+    if (delta > 0) {
+        if (max === r) {
+            hue = 60 * (((g - b) / delta) % 6);
+        } else if (max === g) {
+            hue = 60 * ((b - r) / delta + 2);
+        } else {
+            hue = 60 * ((r - g) / delta + 4);
+        }
+    }
+    if (hue < 0) {
+        hue += 360;
+    }
+    return [Math.round(hue), Math.round(max > 0 ? delta / max * 100 : 0), Math.round(max * 100)];
+}
+
+///////////////
+// Relay Stuff
+///////////////
+
+eWeLink.prototype.getRelayServiceName = function (deviceId) {
+    // Relays are exposed as a Switch unless another type is configured in serviceTypes
+    let type = this.serviceTypes.get(deviceId) || 'Switch';
+    if (!this.getRelayService(type)) {
+        this.log("[%s] Unknown service type [%s]. It will be exposed as a Switch.", deviceId, type);
+        type = 'Switch';
+    }
+    return type;
+};
+
+eWeLink.prototype.getRelayService = function (name) {
+    const SERVICE_TYPES = {
+        Switch: Service.Switch,
+        Outlet: Service.Outlet,
+        Lightbulb: Service.Lightbulb,
+        Fan: Service.Fan,
+        Valve: Service.Valve
+    };
+    return SERVICE_TYPES[name] || null;
+};
+
+eWeLink.prototype.configureRelayService = function (accessory) {
+    // Called from addAccessory() and configureAccessory()
+    let platform = this;
+    let name = platform.getRelayServiceName(accessory.context.deviceId);
+
+    // The service type has been changed in the config since the accessory was cached
+    if (accessory.context.relayServiceType !== name) {
+        let oldService = accessory.getService(platform.getRelayService(accessory.context.relayServiceType));
+        if (oldService) {
+            platform.log("[%s] is now exposed as [%s]", accessory.displayName, name);
+            accessory.removeService(oldService);
+        }
+        accessory.context.relayServiceType = name;
+    }
+
+    let service = accessory.getService(platform.getRelayService(name)) ||
+        accessory.addService(platform.getRelayService(name), accessory.displayName);
+
+    if (name === 'Valve') {
+        platform.configureValveService(accessory, service);
+        return;
+    }
+
+    service.getCharacteristic(Characteristic.On)
+        .on('set', function (value, callback) {
+
+            let localDevice = undefined;
+            if (accessory.context.lanClient) {
+                /* Try to get the local device state if a lan client exists */
+                localDevice = accessory.context.lanClient.getLocalDevice();
+            }
+
+            if(localDevice && localDevice.data.type === 'plug') {
+                /* We can do a local device call for this */
+                accessory.context.lanClient.setSwitchStatus(
+                    accessory, value, callback);
+            } else {
+                /* Do a web call */
+                platform.setPowerState(accessory, value, callback);
+            }
+        })
+        .on('get', function (callback) {
+
+            let localDevice = undefined;
+            if (accessory.context.lanClient &&
+                    accessory.context.lanClient.getLocalDevice) {
+                /* Only get the local device state if there is a lan client and it
+                 * has the expected function.
+                 * This latter check seems to be required when a device is partially
+                 * restored and homebridge tries to get the state before it is fully
+                 * set up.
+                 */
+                localDevice = accessory.context.lanClient.getLocalDevice();
+            }
+
+            let status = undefined;
+            if (localDevice) {
+                if (localDevice.data.type === 'plug') {
+                    status = accessory.context.lanClient.getSwitchStatus();
+                } else if (localDevice.data.type === 'strip') {
+                    status = accessory.context.lanClient.getStripOutletStatus(
+                        accessory.context.channel);
+                }
+            }
+
+            if (status !== undefined) {
+                /* Got a response from the lan client, call the callback */
+                callback(null, status);
+            } else {
+                /* Try the API */
+                platform.getPowerState(accessory, callback);
+            }
+        });
+};
+
+eWeLink.prototype.getRelayState = function (accessory, state, relay) {
+    // relay is the channel number of a group, starting from 1
+    if (accessory.context.switches > 1) {
+        let entry = (state.switches || []).filter(function (sw) {
+            return sw.outlet === relay - 1;
+        })[0];
+        return entry ? entry.switch : undefined;
+    }
+    return state.switch;
+};
+
+eWeLink.prototype.setRelayState = function (accessory, relay, isOn, callback) {
+    // Used by groups, relay is the channel number starting from 1
+    let platform = this;
+    let options = {};
+    let deviceId = platform.getGroupDeviceId(accessory);
+    options.protocolVersion = 13;
+
+    let targetState = isOn ? 'on' : 'off';
+
+    let deviceInformationFromWebApi = platform.devicesFromApi.get(deviceId);
+    if (!deviceInformationFromWebApi) {
+        platform.log("[%s] Device [%s] was not found. No request will be sent.", accessory.displayName, deviceId);
+        callback('Device not found');
+        return;
+    }
+
+    let payload = {};
+    payload.action = 'update';
+    payload.userAgent = 'app';
+    payload.params = {};
+    if (accessory.context.switches > 1) {
+        // Copied as the device list is only updated by the response of the device
+        payload.params.switches = JSON.parse(JSON.stringify(deviceInformationFromWebApi.params.switches));
+        payload.params.switches[relay - 1].switch = targetState;
+    } else {
+        payload.params.switch = targetState;
+        deviceInformationFromWebApi.params.switch = targetState;
+    }
+    payload.apikey = '' + accessory.context.apiKey;
+    payload.deviceid = '' + deviceId;
+
+    payload.sequence = platform.getSequence();
+
+    let string = JSON.stringify(payload);
+    // platform.log( string );
+
+    platform.sendWebSocketMessage(string, callback);
+};
+
+eWeLink.prototype.configureValveService = function (accessory, service) {
+    let platform = this;
+
+    service.getCharacteristic(Characteristic.ValveType)
+        .updateValue(Characteristic.ValveType.GENERIC_VALVE);
+    service.getCharacteristic(Characteristic.Active)
+        .on('set', function (value, callback) {
+            platform.setValveState(accessory, value === Characteristic.Active.ACTIVE, callback);
+        })
+        .on('get', function (callback) {
+            platform.getPowerState(accessory, callback);
+        });
+    service.getCharacteristic(Characteristic.RemainingDuration)
+        .on('get', function (callback) {
+            callback(null, platform.getValveRemainingDuration(accessory));
+        });
+};
+
+eWeLink.prototype.setValveState = function (accessory, isOn, callback) {
+    let platform = this;
+
+    platform.setPowerState(accessory, isOn, function (err) {
+        if (!err) {
+            platform.updateValveCharacteristic(accessory, isOn);
+        }
+        callback(err);
+    });
+};
+
+eWeLink.prototype.getValveRemainingDuration = function (accessory) {
+    if (!accessory.valveEndTime) {
+        return 0;
+    }
+    return Math.max(0, Math.round((accessory.valveEndTime - Date.now()) / 1000));
+};
+
+eWeLink.prototype.updateValveCharacteristic = function (accessory, isOn) {
+    // The valve is turned off once SetDuration has elapsed, 0 keeps it on until it is turned off
+    let platform = this;
+    let service = accessory.getService(Service.Valve);
+    let isRunning = !!accessory.valveEndTime;
+
+    service.getCharacteristic(Characteristic.Active).updateValue(isOn ?
+        Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE);
+    service.getCharacteristic(Characteristic.InUse).updateValue(isOn ?
+        Characteristic.InUse.IN_USE : Characteristic.InUse.NOT_IN_USE);
+
+    if (isOn && !isRunning) {
+        let duration = service.getCharacteristic(Characteristic.SetDuration).value;
+        if (duration > 0) {
+            platform.log("[%s] Valve will be turned off in %s sec.", accessory.displayName, duration);
+            // Timers are not stored in the context as it is saved to the cache
+            accessory.valveEndTime = Date.now() + duration * 1000;
+            accessory.valveTimer = setTimeout(function () {
+                platform.setValveState(accessory, false, function () {});
+            }, duration * 1000);
+        }
+    } else if (!isOn && isRunning) {
+        clearTimeout(accessory.valveTimer);
+        accessory.valveEndTime = null;
+    }
+
+    service.getCharacteristic(Characteristic.RemainingDuration).updateValue(platform.getValveRemainingDuration(accessory));
+};
+
+/////////////////
+// Curtain Stuff
+/////////////////
+
+eWeLink.prototype.configureCurtainService = function (accessory) {
+    // Called from addAccessory() and configureAccessory()
+    let platform = this;
+    let service = accessory.getService(Service.WindowCovering);
+
+    service.getCharacteristic(Characteristic.CurrentPosition)
+        .on('get', function (callback) {
+            platform.getCurtainPosition(accessory, callback);
+        });
+    service.getCharacteristic(Characteristic.PositionState)
+        .updateValue(Characteristic.PositionState.STOPPED);
+    service.getCharacteristic(Characteristic.TargetPosition)
+        .on('set', function (value, callback) {
+            platform.setCurtainPosition(accessory, value, callback);
+        });
+};
+
+eWeLink.prototype.getCurtainPosition = function (accessory, callback) {
+    let platform = this;
+
+    if (!platform.devicesFromApi.has(accessory.context.deviceId)) {
+        callback('Device not found');
+        return;
+    }
+
+    let params = platform.devicesFromApi.get(accessory.context.deviceId).params;
+    if (!params.hasOwnProperty('setclose')) {
+        callback(null, accessory.getService(Service.WindowCovering).getCharacteristic(Characteristic.CurrentPosition).value);
+        return;
+    }
+
+    // setclose is the closed percentage, HomeKit expects the opened one
+    callback(null, 100 - params.setclose);
+};
+
+eWeLink.prototype.setCurtainPosition = function (accessory, position, callback) {
+    let platform = this;
+    let options = {};
+    let deviceId = accessory.context.deviceId;
+    options.protocolVersion = 13;
+
+    platform.log("Setting curtain position for device [%s] to [%s]", accessory.displayName, position);
+
+    let payload = {};
+    payload.action = 'update';
+    payload.userAgent = 'app';
+    payload.params = {};
+    payload.params.setclose = 100 - position;
+    payload.apikey = '' + accessory.context.apiKey;
+    payload.deviceid = '' + deviceId;
+
+    payload.sequence = platform.getSequence();
+
+    let string = JSON.stringify(payload);
+    // platform.log( string );
+
+    let service = accessory.getService(Service.WindowCovering);
+    let currentPosition = service.getCharacteristic(Characteristic.CurrentPosition).value;
+    if (position !== currentPosition) {
+        service.getCharacteristic(Characteristic.PositionState).updateValue(position > currentPosition ?
+            Characteristic.PositionState.INCREASING : Characteristic.PositionState.DECREASING);
+    }
+
+    platform.sendWebSocketMessage(string, callback);
+};
+
+eWeLink.prototype.updateCurtainCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    let service = accessory.getService(Service.WindowCovering);
+    let currentPosition = service.getCharacteristic(Characteristic.CurrentPosition).value;
+
+    // The motor reports switch on (opening), off (closing) or pause, and setclose once it has stopped
+    if (state.hasOwnProperty('setclose') && (!state.hasOwnProperty('switch') || state.switch === 'pause')) {
+        currentPosition = 100 - state.setclose;
+        platform.log("Updating curtain position for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, currentPosition);
+        service.getCharacteristic(Characteristic.CurrentPosition).updateValue(currentPosition);
+        service.getCharacteristic(Characteristic.TargetPosition).updateValue(currentPosition);
+        service.getCharacteristic(Characteristic.PositionState).updateValue(Characteristic.PositionState.STOPPED);
+    } else if (state.switch === 'on' || state.switch === 'off') {
+        let isOpening = state.switch === 'on';
+        platform.log("Updating curtain motor for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, isOpening ? 'opening' : 'closing');
+        service.getCharacteristic(Characteristic.TargetPosition).updateValue(state.hasOwnProperty('setclose') ? 100 - state.setclose : (isOpening ? 100 : 0));
+        service.getCharacteristic(Characteristic.PositionState).updateValue(isOpening ?
+            Characteristic.PositionState.INCREASING : Characteristic.PositionState.DECREASING);
+    } else if (state.switch === 'pause') {
+        service.getCharacteristic(Characteristic.TargetPosition).updateValue(currentPosition);
+        service.getCharacteristic(Characteristic.PositionState).updateValue(Characteristic.PositionState.STOPPED);
+    }
+
+    if (platform.devicesFromApi.has(deviceId)) {
+        let params = Object.assign({}, state);
+        if (state.switch === 'on' || state.switch === 'off') {
+            // While the motor is moving, setclose is the target and not the position
+            delete params.setclose;
+        }
+        Object.assign(platform.devicesFromApi.get(deviceId).params, params);
+    }
+};
+
+/////////////////////////
+// Sensors Center Stuff
+/////////////////////////
+
+eWeLink.prototype.updateSensorsCenterCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    let readings = {};
+    if (state.hasOwnProperty('temperature')) {
+        readings.currentTemperature = state.temperature;
+    }
+    if (state.hasOwnProperty('humidity')) {
+        readings.currentHumidity = state.humidity;
+    }
+    if (Object.keys(readings).length > 0) {
+        platform.updateCurrentTemperatureCharacteristic(deviceId, readings);
+    }
+
+    // The light and the dust are reported as a level from 1 to 10, there is no lux / µg/m³ reading.
+    // The PM2.5 density is estimated as 25 µg/m³ per dust level, level 10 being 250 µg/m³ (very poor).
+    if (state.hasOwnProperty('light') && accessory.getService(Service.LightSensor)) {
+        let level = Math.max(1, Math.min(10, parseInt(state.light)));
+        platform.log("Updating recorded Characteristic.CurrentAmbientLightLevel for [%s] to level [%s]. No request will be sent to the device.", accessory.displayName, level);
+        accessory.getService(Service.LightSensor)
+            .getCharacteristic(Characteristic.CurrentAmbientLightLevel).updateValue(level * 100);
+    }
+
+    if (state.hasOwnProperty('dusty') && accessory.getService(Service.AirQualitySensor)) {
+        let level = Math.max(1, Math.min(10, parseInt(state.dusty)));
+        platform.log("Updating recorded Characteristic.AirQuality for [%s] to level [%s]. No request will be sent to the device.", accessory.displayName, level);
+        accessory.getService(Service.AirQualitySensor)
+            .getCharacteristic(Characteristic.AirQuality).updateValue(Math.ceil(level / 2));
+        accessory.getService(Service.AirQualitySensor)
+            .getCharacteristic(Characteristic.PM2_5Density).updateValue(level * 25);
+    }
+};
+
+////////////////////
+// Air Device Stuff
+////////////////////
+
+eWeLink.prototype.getAirDeviceConfig = function (deviceType) {
+    // Humidifiers, air purifiers, fans and heaters. The level (mist level or fan speed) goes from 1 to levels.
+    // The iFan (FAN_LIGHT) is not listed, its speed is set with the switches of its relays.
+    const AIR_DEVICES = {
+        HUMIDIFIER: {service: Service.HumidifierDehumidifier, levelParam: 'state', levels: 3},
+        NEW_HUMIDIFIER: {service: Service.HumidifierDehumidifier, levelParam: 'state', levels: 3},
+        AIR_CLEANER: {service: Service.AirPurifier, levelParam: 'speed', levels: 3},
+        THREE_GEAR_FAN: {service: Service.Fanv2, levelParam: 'speed', levels: 3},
+        ELECTRIC_FAN_WITH_LAMP: {service: Service.Fanv2, levelParam: 'speed', levels: 3, lightParam: 'light'},
+        BLADELESS_FAN: {service: Service.Fanv2, levelParam: 'speed', levels: 3, swingParam: 'shake'},
+        WARM_AIR_BLOWER: {service: Service.HeaterCooler, temperatureParam: 'temperature', thresholdParam: 'targetTemp'}
+    };
+    return AIR_DEVICES[deviceType] || null;
+};
+
+eWeLink.prototype.configureAirDeviceService = function (accessory) {
+    // Called from addAccessory() and configureAccessory()
+    let platform = this;
+    let config = platform.getAirDeviceConfig(accessory.context.deviceType);
+    let service = accessory.getService(config.service);
+
+    service.getCharacteristic(Characteristic.Active)
+        .on('set', function (value, callback) {
+            platform.setAirDeviceActive(accessory, value, callback);
+        });
+    if (config.levelParam) {
+        service.getCharacteristic(Characteristic.RotationSpeed)
+            .on('set', function (value, callback) {
+                platform.setAirDeviceLevel(accessory, value, callback);
+            });
+    }
+
+    if (config.swingParam) {
+        service.getCharacteristic(Characteristic.SwingMode)
+            .on('set', function (value, callback) {
+                let params = {};
+                params[config.swingParam] = value === Characteristic.SwingMode.SWING_ENABLED ? 'on' : 'off';
+                platform.log("Setting swing mode to [%s] for device [%s]", params[config.swingParam], accessory.displayName);
+                platform.sendAirDeviceParams(accessory, params, callback);
+            });
+    }
+
+    if (config.lightParam) {
+        accessory.getService(Service.Lightbulb).getCharacteristic(Characteristic.On)
+            .on('set', function (value, callback) {
+                let params = {};
+                params[config.lightParam] = value ? 'on' : 'off';
+                platform.log("Setting light state to [%s] for device [%s]", params[config.lightParam], accessory.displayName);
+                platform.sendAirDeviceParams(accessory, params, callback);
+            });
+    }
+
+    // Only the manual mode is supported
+    if (config.service === Service.HumidifierDehumidifier) {
+        service.getCharacteristic(Characteristic.TargetHumidifierDehumidifierState)
+            .setProps({
+                validValues: [Characteristic.TargetHumidifierDehumidifierState.HUMIDIFIER]
+            })
+            .updateValue(Characteristic.TargetHumidifierDehumidifierState.HUMIDIFIER);
+    } else if (config.service === Service.AirPurifier) {
+        service.getCharacteristic(Characteristic.TargetAirPurifierState)
+            .setProps({
+                validValues: [Characteristic.TargetAirPurifierState.MANUAL]
+            })
+            .updateValue(Characteristic.TargetAirPurifierState.MANUAL);
+    } else if (config.service === Service.HeaterCooler) {
+        service.getCharacteristic(Characteristic.TargetHeaterCoolerState)
+            .setProps({
+                validValues: [Characteristic.TargetHeaterCoolerState.HEAT]
+            })
+            .updateValue(Characteristic.TargetHeaterCoolerState.HEAT);
+        service.getCharacteristic(Characteristic.CurrentTemperature)
+            .setProps({
+                minValue: -50
+            });
+        // The default value of the characteristic (0) is out of this range
+        let threshold = service.getCharacteristic(Characteristic.HeatingThresholdTemperature).value;
+        service.getCharacteristic(Characteristic.HeatingThresholdTemperature)
+            .setProps({
+                minValue: 5,
+                maxValue: 35,
+                minStep: 1
+            })
+            .updateValue(Math.min(35, Math.max(5, Math.round(threshold) || 20)))
+            .on('set', function (value, callback) {
+                let params = {};
+                params[config.thresholdParam] = value;
+                platform.log("Setting heating threshold to [%s] for device [%s]", value, accessory.displayName);
+                platform.sendAirDeviceParams(accessory, params, callback);
+            });
+    }
+};
+
+eWeLink.prototype.setAirDeviceActive = function (accessory, value, callback) {
+    let platform = this;
+
+    platform.log("Setting active state to [%s] for device [%s]", value, accessory.displayName);
+
+    platform.sendAirDeviceParams(accessory, {switch: value === Characteristic.Active.ACTIVE ? 'on' : 'off'}, callback);
+};
+
+eWeLink.prototype.setAirDeviceLevel = function (accessory, value, callback) {
+    let platform = this;
+    let config = platform.getAirDeviceConfig(accessory.context.deviceType);
+
+    // HomeKit sets the speed to 0 along with Active when turning off
+    if (value === 0) {
+        callback();
+        return;
+    }
+
+    let params = {};
+    params[config.levelParam] = Math.max(1, Math.ceil(value * config.levels / 100));
+
+    platform.log("Setting level to [%s] for device [%s]", params[config.levelParam], accessory.displayName);
+
+    platform.sendAirDeviceParams(accessory, params, callback);
+};
+
+eWeLink.prototype.sendAirDeviceParams = function (accessory, params, callback) {
+    let platform = this;
+    let options = {};
+    let deviceId = accessory.context.deviceId;
+    options.protocolVersion = 13;
+
+    let payload = {};
+    payload.action = 'update';
+    payload.userAgent = 'app';
+    payload.params = params;
+    payload.apikey = '' + accessory.context.apiKey;
+    payload.deviceid = '' + deviceId;
+
+    payload.sequence = platform.getSequence();
+
+    let string = JSON.stringify(payload);
+    // platform.log( string );
+
+    if (platform.devicesFromApi.has(deviceId)) {
+        Object.assign(platform.devicesFromApi.get(deviceId).params, params);
+    }
+
+    platform.sendWebSocketMessage(string, callback);
+};
+
+eWeLink.prototype.updateAirDeviceCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    let config = platform.getAirDeviceConfig(accessory.context.deviceType);
+    let service = accessory.getService(config.service);
+    let isHumidifier = config.service === Service.HumidifierDehumidifier;
+
+    if (state.hasOwnProperty('switch')) {
+        let isOn = state.switch === 'on';
+        platform.log("Updating recorded Characteristic.Active for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, isOn);
+        service.getCharacteristic(Characteristic.Active).updateValue(isOn ?
+            Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE);
+        if (isHumidifier) {
+            service.getCharacteristic(Characteristic.CurrentHumidifierDehumidifierState).updateValue(isOn ?
+                Characteristic.CurrentHumidifierDehumidifierState.HUMIDIFYING : Characteristic.CurrentHumidifierDehumidifierState.INACTIVE);
+        } else if (config.service === Service.AirPurifier) {
+            service.getCharacteristic(Characteristic.CurrentAirPurifierState).updateValue(isOn ?
+                Characteristic.CurrentAirPurifierState.PURIFYING_AIR : Characteristic.CurrentAirPurifierState.INACTIVE);
+        } else if (config.service === Service.HeaterCooler) {
+            service.getCharacteristic(Characteristic.CurrentHeaterCoolerState).updateValue(isOn ?
+                Characteristic.CurrentHeaterCoolerState.HEATING : Characteristic.CurrentHeaterCoolerState.INACTIVE);
+        }
+    }
+
+    if (config.temperatureParam && state.hasOwnProperty(config.temperatureParam) && !isNaN(parseFloat(state[config.temperatureParam]))) {
+        platform.log("Updating recorded Characteristic.CurrentTemperature for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, state[config.temperatureParam]);
+        service.getCharacteristic(Characteristic.CurrentTemperature).updateValue(parseFloat(state[config.temperatureParam]));
+    }
+
+    if (config.thresholdParam && state.hasOwnProperty(config.thresholdParam)) {
+        platform.log("Updating recorded Characteristic.HeatingThresholdTemperature for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, state[config.thresholdParam]);
+        service.getCharacteristic(Characteristic.HeatingThresholdTemperature).updateValue(parseFloat(state[config.thresholdParam]));
+    }
+
+    if (config.levelParam && state.hasOwnProperty(config.levelParam)) {
+        let level = parseInt(state[config.levelParam]);
+        if (level >= 1 && level <= config.levels) {
+            platform.log("Updating recorded Characteristic.RotationSpeed for [%s] to level [%s]. No request will be sent to the device.", accessory.displayName, level);
+            service.getCharacteristic(Characteristic.RotationSpeed).updateValue(Math.round(level * 100 / config.levels));
+        }
+    }
+
+    if (config.swingParam && state.hasOwnProperty(config.swingParam)) {
+        platform.log("Updating recorded Characteristic.SwingMode for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, state[config.swingParam]);
+        service.getCharacteristic(Characteristic.SwingMode).updateValue(state[config.swingParam] === 'on' ?
+            Characteristic.SwingMode.SWING_ENABLED : Characteristic.SwingMode.SWING_DISABLED);
+    }
+
+    if (config.lightParam && state.hasOwnProperty(config.lightParam)) {
+        platform.log("Updating recorded Characteristic.On for [%s] light to [%s]. No request will be sent to the device.", accessory.displayName, state[config.lightParam]);
+        accessory.getService(Service.Lightbulb)
+            .getCharacteristic(Characteristic.On).updateValue(state[config.lightParam] === 'on');
+    }
+
+    if (isHumidifier && state.hasOwnProperty('humidity')) {
+        service.getCharacteristic(Characteristic.CurrentRelativeHumidity).updateValue(parseFloat(state.humidity));
+    }
+
+    // water is 1 when the tank is empty
+    if (isHumidifier && state.hasOwnProperty('water')) {
+        platform.log("Updating recorded Characteristic.WaterLevel for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, parseInt(state.water) === 1 ? 'empty' : 'full');
+        service.getCharacteristic(Characteristic.WaterLevel).updateValue(parseInt(state.water) === 1 ? 0 : 100);
+    }
+
+    // filter is the remaining life of the filter in %
+    if (state.hasOwnProperty('filter') && accessory.getService(Service.FilterMaintenance)) {
+        let filterLife = Math.max(0, Math.min(100, parseInt(state.filter)));
+        platform.log("Updating recorded Characteristic.FilterLifeLevel for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, filterLife);
+        accessory.getService(Service.FilterMaintenance)
+            .getCharacteristic(Characteristic.FilterLifeLevel).updateValue(filterLife);
+        accessory.getService(Service.FilterMaintenance)
+            .getCharacteristic(Characteristic.FilterChangeIndication).updateValue(filterLife < 10 ?
+                Characteristic.FilterChangeIndication.CHANGE_FILTER : Characteristic.FilterChangeIndication.FILTER_OK);
+    }
+};
+
+////////////////
+// Zigbee Stuff
+////////////////
+
+eWeLink.prototype.getZigbeeServiceType = function (deviceType) {
+    // Sub-devices paired to a ZBBridge
+    const SERVICE_TYPES = {
+        ZIGBEE_WIRELESS_SWITCH: Service.StatelessProgrammableSwitch,
+        ZIGBEE_TEMPERATURE_AND_HUMIDITY_SENSOR: Service.TemperatureSensor,
+        ZIGBEE_MOBILE_SENSOR: Service.MotionSensor,
+        ZIGBEE_DOOR_AND_WINDOW_SENSOR: Service.ContactSensor
+    };
+    return SERVICE_TYPES[deviceType] || null;
+};
+
+eWeLink.prototype.isZigbeeSubDevice = function (device) {
+    return !!this.getZigbeeServiceType(this.getDeviceTypeByUiid(device.uiid));
+};
+
+eWeLink.prototype.configureZigbeeService = function (accessory) {
+    // Called from addAccessory() and configureAccessory()
+    // The SNZB-01 reports a single press, a double press and a long press
+    if (accessory.getService(Service.StatelessProgrammableSwitch)) {
+        accessory.getService(Service.StatelessProgrammableSwitch)
+            .getCharacteristic(Characteristic.ProgrammableSwitchEvent)
+            .setProps({
+                validValues: [
+                    Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS,
+                    Characteristic.ProgrammableSwitchEvent.DOUBLE_PRESS,
+                    Characteristic.ProgrammableSwitchEvent.LONG_PRESS
+                ]
+            });
+    }
+    if (accessory.getService(Service.BatteryService)) {
+        accessory.getService(Service.BatteryService)
+            .getCharacteristic(Characteristic.ChargingState)
+            .updateValue(Characteristic.ChargingState.NOT_CHARGEABLE);
+    }
+};
+
+eWeLink.prototype.updateZigbeeCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    if (state.hasOwnProperty('motion') && accessory.getService(Service.MotionSensor)) {
+        let isDetected = parseInt(state.motion) === 1;
+        platform.log("Updating recorded Characteristic.MotionDetected for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, isDetected);
+        accessory.getService(Service.MotionSensor)
+            .getCharacteristic(Characteristic.MotionDetected).updateValue(isDetected);
+    }
+
+    // The SNZB-04 reports lock 1 when the door is opened
+    if (state.hasOwnProperty('lock') && accessory.getService(Service.ContactSensor)) {
+        let isOpen = parseInt(state.lock) === 1;
+        platform.log("Updating recorded Characteristic.ContactSensorState for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, isOpen ? 'open' : 'closed');
+        accessory.getService(Service.ContactSensor)
+            .getCharacteristic(Characteristic.ContactSensorState).updateValue(isOpen ?
+                Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED);
+    }
+
+    // The SNZB-02 reports hundredths of °C and %
+    let readings = {};
+    if (state.hasOwnProperty('temperature')) {
+        readings.currentTemperature = parseInt(state.temperature) / 100;
+    }
+    if (state.hasOwnProperty('humidity')) {
+        readings.currentHumidity = parseInt(state.humidity) / 100;
+    }
+    if (Object.keys(readings).length > 0) {
+        platform.updateCurrentTemperatureCharacteristic(deviceId, readings);
+    }
+
+    if (state.hasOwnProperty('battery') && accessory.getService(Service.BatteryService)) {
+        let batteryLevel = Math.max(0, Math.min(100, parseInt(state.battery)));
+        platform.log("Updating recorded Characteristic.BatteryLevel for [%s] to [%s]. No request will be sent to the device.", accessory.displayName, batteryLevel);
+        accessory.getService(Service.BatteryService)
+            .getCharacteristic(Characteristic.BatteryLevel).updateValue(batteryLevel);
+        accessory.getService(Service.BatteryService)
+            .getCharacteristic(Characteristic.StatusLowBattery).updateValue(batteryLevel < 10 ?
+                Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW : Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL);
+    }
+};
+
+eWeLink.prototype.updateZigbeeButtonCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source
+    // Not called at startup, the last reported key would be triggered again
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    let service = accessory.getService(Service.StatelessProgrammableSwitch);
+    if (!service || !state.hasOwnProperty('key')) {
+        return;
+    }
+
+    // key is 0 for a single press, 1 for a double press and 2 for a long press, like ProgrammableSwitchEvent
+    let event = parseInt(state.key);
+    if ([0, 1, 2].indexOf(event) === -1) {
+        platform.log("[%s] reported an unknown key [%s]. Nothing to do.", accessory.displayName, state.key);
+        return;
+    }
+
+    platform.log("[%s] button was pressed [%s].", accessory.displayName, ['once', 'twice', 'long'][event]);
+    service.getCharacteristic(Characteristic.ProgrammableSwitchEvent).updateValue(event);
+};
+
+///////////////////
+// RF Bridge Stuff
+///////////////////
+
+eWeLink.prototype.getRfBridgeChannels = function (device) {
+    // Learned channels are described by the remotes of tags.zyx_info. remote_type 6 is an alarm (sensor),
+    // the other types are remotes with buttons. Older bridges only have rfList.
+    let platform = this;
+    let channels = [];
+
+    if (device.tags && Array.isArray(device.tags.zyx_info)) {
+        device.tags.zyx_info.forEach(function (remote) {
+            (remote.buttonName || []).forEach(function (button) {
+                Object.keys(button).forEach(function (channel) {
+                    channels.push({
+                        channel: parseInt(channel),
+                        name: remote.buttonName.length > 1 ? remote.name + ' ' + button[channel] : remote.name,
+                        isAlarm: parseInt(remote.remote_type) === 6
+                    });
+                });
+            });
+        });
+    } else if (Array.isArray(device.params.rfList)) {
+        device.params.rfList.forEach(function (rf) {
+            channels.push({
+                channel: parseInt(rf.rfChl),
+                name: device.name + ' ' + rf.rfChl,
+                isAlarm: false
+            });
+        });
+    }
+
+    channels.forEach(function (rfChannel) {
+        if (rfChannel.isAlarm) {
+            let config = platform.getRfSensorConfig(device.deviceid, rfChannel.channel);
+            rfChannel.sensor = config.type || 'motion';
+            rfChannel.timeout = config.timeout || 60;
+        }
+    });
+
+    return channels;
+};
+
+eWeLink.prototype.getRfSensorConfig = function (deviceId, channel) {
+    let config = (this.config['rfSensors'] || []).filter(function (sensor) {
+        return sensor.deviceId === deviceId && parseInt(sensor.channel) === channel;
+    });
+    return config.length > 0 ? config[0] : {};
+};
+
+eWeLink.prototype.getRfServiceType = function (rfChannel) {
+    if (!rfChannel.isAlarm) {
+        return Service.Switch;
+    }
+    const SERVICE_TYPES = {
+        motion: Service.MotionSensor,
+        contact: Service.ContactSensor,
+        smoke: Service.SmokeSensor
+    };
+    return SERVICE_TYPES[rfChannel.sensor] || Service.MotionSensor;
+};
+
+eWeLink.prototype.hasRfChannelsChanged = function (device, accessory) {
+    if (this.getDeviceTypeByUiid(device.uiid) !== 'RF_BRIDGE') {
+        return false;
+    }
+    return JSON.stringify(this.getRfBridgeChannels(device)) !== JSON.stringify(accessory.context.rfChannels);
+};
+
+eWeLink.prototype.configureRfBridgeServices = function (accessory) {
+    // Called from addAccessory() and configureAccessory()
+    let platform = this;
+
+    (accessory.context.rfChannels || []).forEach(function (rfChannel) {
+        let service = accessory.getServiceByUUIDAndSubType(platform.getRfServiceType(rfChannel), 'rf' + rfChannel.channel);
+        if (!service) {
+            return;
+        }
+
+        if (rfChannel.isAlarm) {
+            // Sensors only send a code when they are triggered, a restart resets them
+            platform.setRfSensorState(service, rfChannel, false);
+            return;
+        }
+
+        service.getCharacteristic(Characteristic.On)
+            .updateValue(false)
+            .on('set', function (value, callback) {
+                platform.setRfButtonState(accessory, rfChannel, value, callback);
+            });
+    });
+};
+
+eWeLink.prototype.setRfButtonState = function (accessory, rfChannel, isOn, callback) {
+    let platform = this;
+    let options = {};
+    let deviceId = accessory.context.deviceId;
+    options.protocolVersion = 13;
+
+    // Buttons are stateless, turning the switch off does nothing
+    if (!isOn) {
+        callback();
+        return;
+    }
+
+    platform.log("Transmitting RF channel [%s] for device [%s]", rfChannel.channel, accessory.displayName);
+
+    let payload = {};
+    payload.action = 'update';
+    payload.userAgent = 'app';
+    payload.params = {};
+    payload.params.cmd = 'transmit';
+    payload.params.rfChl = rfChannel.channel;
+    payload.apikey = '' + accessory.context.apiKey;
+    payload.deviceid = '' + deviceId;
+
+    payload.sequence = platform.getSequence();
+
+    let string = JSON.stringify(payload);
+    // platform.log( string );
+
+    platform.sendWebSocketMessage(string, callback);
+
+    setTimeout(function () {
+        accessory.getServiceByUUIDAndSubType(Service.Switch, 'rf' + rfChannel.channel)
+            .getCharacteristic(Characteristic.On).updateValue(false);
+    }, 1000);
+};
+
+eWeLink.prototype.setRfSensorState = function (service, rfChannel, isTriggered) {
+    switch (rfChannel.sensor) {
+        case 'contact':
+            service.getCharacteristic(Characteristic.ContactSensorState).updateValue(isTriggered ?
+                Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED);
+            break;
+        case 'smoke':
+            service.getCharacteristic(Characteristic.SmokeDetected).updateValue(isTriggered ?
+                Characteristic.SmokeDetected.SMOKE_DETECTED : Characteristic.SmokeDetected.SMOKE_NOT_DETECTED);
+            break;
+        default:
+            service.getCharacteristic(Characteristic.MotionDetected).updateValue(isTriggered);
+            break;
+    }
+};
+
+eWeLink.prototype.updateRfBridgeCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    // A trigger is reported as {"cmd": "trigger", "rfTrig<channel>": "<timestamp>"}
+    Object.keys(state).forEach(function (key) {
+        let match = key.match(/^rfTrig(\d+)$/);
+        if (!match) {
+            return;
+        }
+
+        let channel = parseInt(match[1]);
+        let rfChannel = (accessory.context.rfChannels || []).filter(function (rf) {
+            return rf.channel === channel;
+        })[0];
+
+        if (!rfChannel || !rfChannel.isAlarm) {
+            platform.log("[%s] RF channel [%s] was triggered. Nothing to do.", accessory.displayName, channel);
+            return;
+        }
+
+        let service = accessory.getServiceByUUIDAndSubType(platform.getRfServiceType(rfChannel), 'rf' + channel);
+        if (!service) {
+            return;
+        }
+
+        platform.log("[%s] RF sensor [%s] was triggered. It will be reset in %s sec.", accessory.displayName, rfChannel.name, rfChannel.timeout);
+        platform.setRfSensorState(service, rfChannel, true);
+
+        // Timers are not stored in the context as it is saved to the cache
+        accessory.rfTimers = accessory.rfTimers || {};
+        clearTimeout(accessory.rfTimers[channel]);
+        accessory.rfTimers[channel] = setTimeout(function () {
+            platform.setRfSensorState(service, rfChannel, false);
+        }, rfChannel.timeout * 1000);
+    });
+};
+
+//////////////////////
+// Group Stuff
+//////////////////////
+
+eWeLink.prototype.getGroupRelays = function (group, switches = null) {
+    // The relays driven by a group, used to identify the groups of a device
+    let platform = this;
+    if (group.type === 'blind') {
+        let relays = [group.relay_pulse || group.relay_up, group.relay_pulse || group.relay_down].map(function (relay) {
+            return platform.getBlindRelay(group, relay);
+        }).filter(function (relay) {
+            return relay.deviceId === group.deviceId;
+        }).map(function (relay) {
+            return relay.index + 1;
+        });
+        return relays.length > 0 ? relays : [1];
+    }
+    switch (group.type) {
+        case 'garage':
+            return group.relay_close ? [group.relay_open || 1, group.relay_close] : [group.relay_open || 1];
+        case 'lock':
+            return [group.relay || 1];
+        default:
+            if (Array.isArray(group.relays) && group.relays.length > 0) {
+                return group.relays;
+            }
+            // All the channels of the device
+            if (!switches && platform.devicesFromApi.has(group.deviceId)) {
+                switches = platform.getDeviceChannelCountByType(platform.getDeviceTypeByUiid(platform.devicesFromApi.get(group.deviceId).uiid));
+            }
+            let relays = [];
+            for (let i = 1; i <= Math.max(switches || 1, 1); i++) {
+                relays.push(i);
+            }
+            return relays;
+    }
+};
+
+eWeLink.prototype.removeOverlappingGroups = function () {
+    // A relay can only be driven by one group, the groups using a relay of a previous group are skipped
+    let platform = this;
+    let usedRelays = new Set();
+    Array.from(platform.groups.keys()).forEach(function (accessoryId) {
+        let relays = platform.getGroupRelayIds(platform.groups.get(accessoryId));
+        let sharedRelay = relays.find(function (relay) {
+            return usedRelays.has(relay);
+        });
+        if (sharedRelay) {
+            platform.log('Group error ! Device ID : [%s] already has a group using relay %s. It will be skipped.', sharedRelay.split('CH')[0], sharedRelay.split('CH')[1]);
+            platform.groups.delete(accessoryId);
+            return;
+        }
+        relays.forEach(function (relay) {
+            usedRelays.add(relay);
+        });
+    });
+};
+
+eWeLink.prototype.getGroupRelayIds = function (group) {
+    // The relays driven by a group on all its devices, as the device ID followed by CH and the relay number
+    let platform = this;
+    if (group.type === 'blind') {
+        return [group.relay_pulse || group.relay_up, group.relay_pulse || group.relay_down].map(function (relay) {
+            let blindRelay = platform.getBlindRelay(group, relay);
+            return blindRelay.deviceId + 'CH' + (blindRelay.index + 1);
+        });
+    }
+    return platform.getGroupRelays(group).map(function (relay) {
+        return group.deviceId + 'CH' + relay;
+    });
+};
+
+eWeLink.prototype.getGroupDeviceIds = function (group) {
+    // The relays of a blind can belong to other devices
+    let platform = this;
+    let deviceIds = [group.deviceId];
+    if (group.type === 'blind') {
+        [group.relay_pulse || group.relay_up, group.relay_pulse || group.relay_down].forEach(function (relay) {
+            let deviceId = platform.getBlindRelay(group, relay).deviceId;
+            if (deviceIds.indexOf(deviceId) === -1) {
+                deviceIds.push(deviceId);
+            }
+        });
+    }
+    return deviceIds;
+};
+
+eWeLink.prototype.isGroupedDevice = function (deviceId) {
+    // The relays of a grouped device are not exposed on their own
+    let platform = this;
+    return Array.from(platform.groups.values()).some(function (group) {
+        return platform.getGroupDeviceIds(group).indexOf(deviceId) !== -1;
+    });
+};
+
+eWeLink.prototype.updateRelayCache = function (deviceId, state) {
+    // Groups read the state of their relays from the device list, as an update only concerns one device
+    if (!this.devicesFromApi.has(deviceId)) {
+        return;
+    }
+    let params = this.devicesFromApi.get(deviceId).params;
+    if (state.hasOwnProperty('switch')) {
+        params.switch = state.switch;
+    }
+    if (Array.isArray(state.switches) && Array.isArray(params.switches)) {
+        state.switches.forEach(function (entry) {
+            if (params.switches[entry.outlet]) {
+                params.switches[entry.outlet].switch = entry.switch;
+            }
+        });
+    }
+};
+
+eWeLink.prototype.getDeviceGroups = function (deviceId) {
+    // The groups of a device, by accessory ID
+    let deviceGroups = new Map();
+    this.groups.forEach(function (group, accessoryId) {
+        if (group.deviceId === deviceId) {
+            deviceGroups.set(accessoryId, group);
+        }
+    });
+    return deviceGroups;
+};
+
+eWeLink.prototype.getGroupDeviceId = function (accessory) {
+    // The accessory ID of the other groups of a device contains their first relay, like channels
+    let deviceId = accessory.context.deviceId;
+    if (accessory.context.switches > 1) {
+        deviceId = deviceId.replace("CH" + accessory.context.channel, "");
+    }
+    return deviceId;
+};
+
+eWeLink.prototype.addGroupAccessory = function (device, accessoryId, group, services) {
+    // Only the accessory identified by the device ID keeps the other services of the device
+    let platform = this;
+    if (accessoryId !== device.deviceid) {
+        services = {};
+    }
+    let deviceId = accessoryId !== device.deviceid ? accessoryId : null;
+
+    switch (group.type) {
+        case 'blind':
+            platform.log('Device [%s], ID : [%s] will be added as %s', device.name, accessoryId, group.type);
+            services.blind = true;
+            services.switch = false;
+            services.group = group;
+            platform.addAccessory(device, deviceId, services);
+            break;
+        case 'garage':
+            platform.log('Device [%s], ID : [%s] will be added as %s', device.name, accessoryId, group.type);
+            // Only the garage door is exposed, whatever the type of the device
+            services = {garage: true, group: group};
+            platform.addAccessory(device, deviceId, services);
+            break;
+        case 'lock':
+            platform.log('Device [%s], ID : [%s] will be added as %s', device.name, accessoryId, group.type);
+            services = {lock: true, group: group};
+            platform.addAccessory(device, deviceId, services);
+            break;
+        case 'valve':
+        case 'irrigation':
+            platform.log('Device [%s], ID : [%s] will be added as %s', device.name, accessoryId, group.type);
+            services = {irrigation: true, group: group};
+            platform.addAccessory(device, deviceId, services);
+            break;
+        default:
+            platform.log('Group type error ! Device [%s], ID : [%s] will not be added', device.name, accessoryId);
+            break;
+    }
+};
+
+eWeLink.prototype.updateGroupAccessory = function (device, accessoryId, group) {
+    // Called from checkIfDeviceIsAlreadyConfigured()
+    let platform = this;
+    let accessory = platform.accessories.get(accessoryId);
+
+    switch (group.type) {
+        case 'blind':
+            platform.log("Blind device has been set: " + platform.getDeviceModel(device) + ' uiid: ' + device.uiid);
+            accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, device.name);
+            platform.updateBlindStateCharacteristic(accessoryId);
+            // Ensuring switches device config
+            platform.initSwitchesConfig(accessory);
+            break;
+        case 'garage':
+            platform.log("Garage door device has been set: " + platform.getDeviceModel(device) + ' uiid: ' + device.uiid);
+            accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, device.name);
+            platform.initGarageDoorState(accessory);
+            break;
+        case 'lock':
+            platform.log("Lock device has been set: " + platform.getDeviceModel(device) + ' uiid: ' + device.uiid);
+            accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, device.name);
+            platform.updateLockCharacteristic(accessoryId, device.params);
+            break;
+        case 'valve':
+        case 'irrigation':
+            platform.log("Irrigation device has been set: " + platform.getDeviceModel(device) + ' uiid: ' + device.uiid);
+            accessory.getService(Service.AccessoryInformation).setCharacteristic(Characteristic.Name, device.name);
+            platform.updateIrrigationCharacteristic(accessoryId, device.params);
+            break;
+        default:
+            platform.log('Group type error ! Device [%s], ID : [%s] will not be set', device.name, accessoryId);
+            break;
+    }
+};
+
+eWeLink.prototype.updateGroupCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source
+
+    let platform = this;
+
+    platform.updateRelayCache(deviceId, state);
+
+    platform.groups.forEach(function (group, accessoryId) {
+        if (platform.getGroupDeviceIds(group).indexOf(deviceId) === -1) {
+            return;
+        }
+        switch (group.type) {
+            case 'blind':
+                if (group.relay_pulse) {
+                    // The pulses of a single button motor can't be told apart from the ones sent by the plugin
+                    break;
+                }
+                if (group.handle_api_changes) {
+                    platform.updateBlindStateCharacteristic(accessoryId);
+                } else {
+                    platform.log('Setup to not respond to API. Device ID : [%s] will not be updated.', accessoryId);
+                }
+                break;
+            case 'garage':
+                platform.updateGarageDoorCharacteristic(accessoryId, state);
+                break;
+            case 'lock':
+                platform.updateLockCharacteristic(accessoryId, state);
+                break;
+            case 'valve':
+            case 'irrigation':
+                platform.updateIrrigationCharacteristic(accessoryId, state);
+                break;
+            default:
+                platform.log('Group type error ! Device ID : [%s] will not be updated.', accessoryId);
+                break;
+        }
+    });
+};
+
+///////////////////////
+// Garage Door Stuff
+///////////////////////
+
+eWeLink.prototype.configureGarageDoorService = function (accessory) {
+    // Called from addAccessory() and configureAccessory()
+    let platform = this;
+    let service = accessory.getService(Service.GarageDoorOpener);
+
+    service.getCharacteristic(Characteristic.TargetDoorState)
+        .on('set', function (value, callback) {
+            platform.setTargetDoorState(accessory, value, callback);
+        });
+
+    // A move can't be resumed after a restart, there is no sensor state yet to detect an obstruction
+    let currentDoorState = service.getCharacteristic(Characteristic.CurrentDoorState).value;
+    if (currentDoorState === Characteristic.CurrentDoorState.OPENING || currentDoorState === Characteristic.CurrentDoorState.CLOSING) {
+        platform.finishGarageDoorMove(accessory, false);
+    }
+};
+
+eWeLink.prototype.initGarageDoorState = function (accessory) {
+    // Called from addAccessory() and checkIfDeviceIsAlreadyConfigured()
+    let platform = this;
+    let group = platform.groups.get(accessory.context.deviceId);
+
+    // RF Bridge sensors only send a code when the door moves
+    if (group.sensor_deviceId && platform.devicesFromApi.has(group.sensor_deviceId) &&
+        platform.getDeviceTypeByUiid(platform.devicesFromApi.get(group.sensor_deviceId).uiid) !== 'RF_BRIDGE') {
+        platform.updateGarageDoorSensor(group.sensor_deviceId, platform.devicesFromApi.get(group.sensor_deviceId).params);
+    }
+};
+
+eWeLink.prototype.setTargetDoorState = function (accessory, targetDoorState, callback) {
+    let platform = this;
+    let group = platform.groups.get(accessory.context.deviceId);
+    let isOpening = targetDoorState === Characteristic.TargetDoorState.OPEN;
+
+    // Without relay_close, the same relay opens and closes the door
+    let relay = (!isOpening && group.relay_close) ? group.relay_close : (group.relay_open || 1);
+
+    platform.log("[%s] %s the door with relay %s", accessory.displayName, isOpening ? 'Opening' : 'Closing', relay);
+
+    platform.pulseGarageDoorRelay(accessory, relay, function (err) {
+        if (!err) {
+            platform.startGarageDoorMove(accessory, targetDoorState);
+        }
+        callback(err);
+    });
+};
+
+eWeLink.prototype.pulseGarageDoorRelay = function (accessory, relay, callback) {
+    let platform = this;
+    let group = platform.groups.get(accessory.context.deviceId);
+    let pulseTime = (group.time_pulse || 1) * 1000;
+
+    // The updates of our own pulse must not be seen as a remote control
+    accessory.garagePulseEnd = Date.now() + pulseTime + 5000;
+
+    platform.setRelayState(accessory, relay, true, callback);
+    setTimeout(function () {
+        platform.setRelayState(accessory, relay, false, function () {});
+    }, pulseTime);
+};
+
+eWeLink.prototype.startGarageDoorMove = function (accessory, targetDoorState) {
+    let platform = this;
+    let group = platform.groups.get(accessory.context.deviceId);
+    let service = accessory.getService(Service.GarageDoorOpener);
+    let isOpening = targetDoorState === Characteristic.TargetDoorState.OPEN;
+
+    // A RF Bridge sensor will send a code once the door has moved, its last state is outdated
+    if (group.sensor_deviceId && platform.devicesFromApi.has(group.sensor_deviceId) &&
+        platform.getDeviceTypeByUiid(platform.devicesFromApi.get(group.sensor_deviceId).uiid) === 'RF_BRIDGE') {
+        accessory.garageSensorClosed = undefined;
+    }
+
+    service.getCharacteristic(Characteristic.TargetDoorState).updateValue(targetDoorState);
+    service.getCharacteristic(Characteristic.CurrentDoorState).updateValue(isOpening ?
+        Characteristic.CurrentDoorState.OPENING : Characteristic.CurrentDoorState.CLOSING);
+    service.getCharacteristic(Characteristic.ObstructionDetected).updateValue(false);
+
+    // Timers are not stored in the context as it is saved to the cache
+    clearTimeout(accessory.garageTimer);
+    accessory.garageTimer = setTimeout(function () {
+        platform.finishGarageDoorMove(accessory);
+    }, (group.time_travel || 20) * 1000);
+};
+
+eWeLink.prototype.isGarageDoorSensorExpected = function (group, isClosing) {
+    // Whether the sensor reports that the door is closed, or opened
+    let platform = this;
+    if (!group || !group.sensor_deviceId) {
+        return false;
+    }
+    if (platform.devicesFromApi.has(group.sensor_deviceId) &&
+        platform.getDeviceTypeByUiid(platform.devicesFromApi.get(group.sensor_deviceId).uiid) === 'RF_BRIDGE') {
+        // A RF Bridge only receives the codes of the configured channels
+        let channel = isClosing ? group.sensor_channel_closed : group.sensor_channel_open;
+        return channel !== undefined && channel !== null;
+    }
+    return true;
+};
+
+eWeLink.prototype.finishGarageDoorMove = function (accessory, checkSensor = true) {
+    let platform = this;
+    let group = platform.groups.get(accessory.context.deviceId);
+    let service = accessory.getService(Service.GarageDoorOpener);
+    let targetDoorState = service.getCharacteristic(Characteristic.TargetDoorState).value;
+    let isClosing = targetDoorState === Characteristic.TargetDoorState.CLOSED;
+
+    clearTimeout(accessory.garageTimer);
+    accessory.garageTimer = null;
+
+    // The door is obstructed when the sensor doesn't report the expected state after the travel time,
+    // including when a RF Bridge sensor didn't send any code
+    if (checkSensor && platform.isGarageDoorSensorExpected(group, isClosing) && accessory.garageSensorClosed !== isClosing) {
+        platform.log("[%s] The door did not %s in time. Obstruction detected.", accessory.displayName, isClosing ? 'close' : 'open');
+        service.getCharacteristic(Characteristic.CurrentDoorState).updateValue(Characteristic.CurrentDoorState.STOPPED);
+        service.getCharacteristic(Characteristic.ObstructionDetected).updateValue(true);
+        return;
+    }
+
+    platform.log("[%s] The door is %s", accessory.displayName, isClosing ? 'closed' : 'open');
+    service.getCharacteristic(Characteristic.CurrentDoorState).updateValue(isClosing ?
+        Characteristic.CurrentDoorState.CLOSED : Characteristic.CurrentDoorState.OPEN);
+    service.getCharacteristic(Characteristic.ObstructionDetected).updateValue(false);
+};
+
+eWeLink.prototype.updateGarageDoorCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source, e.g. the eWeLink app or a remote wired to the device
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    if (accessory.garagePulseEnd && Date.now() < accessory.garagePulseEnd) {
+        return;
+    }
+
+    let group = platform.groups.get(deviceId);
+    let service = accessory.getService(Service.GarageDoorOpener);
+    let relayOpen = group.relay_open || 1;
+    let targetDoorState;
+
+    if (platform.getRelayState(accessory, state, relayOpen) === 'on') {
+        if (group.relay_close) {
+            targetDoorState = Characteristic.TargetDoorState.OPEN;
+        } else {
+            // The same relay opens and closes the door
+            targetDoorState = service.getCharacteristic(Characteristic.TargetDoorState).value === Characteristic.TargetDoorState.OPEN ?
+                Characteristic.TargetDoorState.CLOSED : Characteristic.TargetDoorState.OPEN;
+        }
+    } else if (group.relay_close && platform.getRelayState(accessory, state, group.relay_close) === 'on') {
+        targetDoorState = Characteristic.TargetDoorState.CLOSED;
+    } else {
+        return;
+    }
+
+    platform.log("[%s] The door was triggered from outside HomeKit. No request will be sent to the device.", accessory.displayName);
+    platform.startGarageDoorMove(accessory, targetDoorState);
+};
+
+eWeLink.prototype.updateGarageDoorSensor = function (deviceId, state) {
+
+    // Used when we receive an update from the device reporting the state of a door
+
+    let platform = this;
+
+    platform.groups.forEach(function (group, accessoryId) {
+        if (group.type !== 'garage' || group.sensor_deviceId !== deviceId || !platform.accessories.has(accessoryId)) {
+            return;
+        }
+
+        let accessory = platform.accessories.get(accessoryId);
+        let service = accessory.getService(Service.GarageDoorOpener);
+        let isClosed;
+
+        if (state.hasOwnProperty('rfTrig' + group.sensor_channel_closed)) {
+            isClosed = true;
+        } else if (state.hasOwnProperty('rfTrig' + group.sensor_channel_open)) {
+            isClosed = false;
+        } else if (state.hasOwnProperty('lock')) {
+            // Contact sensor, lock is 1 when the door is opened
+            isClosed = parseInt(state.lock) === 0;
+        } else if (state.hasOwnProperty('switch') && !state.hasOwnProperty('cmd')) {
+            isClosed = state.switch === 'off';
+        } else {
+            return;
+        }
+
+        platform.log("[%s] Sensor reports that the door is %s", accessory.displayName, isClosed ? 'closed' : 'open');
+        accessory.garageSensorClosed = isClosed;
+
+        if (isClosed) {
+            clearTimeout(accessory.garageTimer);
+            accessory.garageTimer = null;
+            service.getCharacteristic(Characteristic.TargetDoorState).updateValue(Characteristic.TargetDoorState.CLOSED);
+            service.getCharacteristic(Characteristic.CurrentDoorState).updateValue(Characteristic.CurrentDoorState.CLOSED);
+            service.getCharacteristic(Characteristic.ObstructionDetected).updateValue(false);
+        } else if (!accessory.garageTimer) {
+            // While opening, the door is open once the travel time has elapsed
+            service.getCharacteristic(Characteristic.TargetDoorState).updateValue(Characteristic.TargetDoorState.OPEN);
+            service.getCharacteristic(Characteristic.CurrentDoorState).updateValue(Characteristic.CurrentDoorState.OPEN);
+            service.getCharacteristic(Characteristic.ObstructionDetected).updateValue(false);
+        }
+    });
+};
+
+////////////////
+// Lock Stuff
+////////////////
+
+eWeLink.prototype.configureLockService = function (accessory) {
+    // Called from addAccessory() and configureAccessory()
+    let platform = this;
+    let service = accessory.getService(Service.LockMechanism);
+
+    service.getCharacteristic(Characteristic.LockTargetState)
+        .on('set', function (value, callback) {
+            platform.setLockTargetState(accessory, value, callback);
+        });
+
+    // The relay is turned off when the plugin starts, or by the inching of the device
+    platform.updateLockState(accessory, true);
+};
+
+eWeLink.prototype.setLockTargetState = function (accessory, value, callback) {
+    let platform = this;
+    let group = platform.groups.get(accessory.context.deviceId);
+    let relay = group.relay || 1;
+    let isSecured = value === Characteristic.LockTargetState.SECURED;
+
+    platform.log("[%s] %s the lock with relay %s", accessory.displayName, isSecured ? 'Securing' : 'Unsecuring', relay);
+
+    platform.setRelayState(accessory, relay, !isSecured, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        platform.updateLockState(accessory, isSecured);
+        callback();
+    });
+};
+
+eWeLink.prototype.updateLockState = function (accessory, isSecured) {
+    let platform = this;
+    let group = platform.groups.get(accessory.context.deviceId) || {};
+    let service = accessory.getService(Service.LockMechanism);
+
+    service.getCharacteristic(Characteristic.LockTargetState).updateValue(isSecured ?
+        Characteristic.LockTargetState.SECURED : Characteristic.LockTargetState.UNSECURED);
+    service.getCharacteristic(Characteristic.LockCurrentState).updateValue(isSecured ?
+        Characteristic.LockCurrentState.SECURED : Characteristic.LockCurrentState.UNSECURED);
+
+    // Timers are not stored in the context as it is saved to the cache
+    clearTimeout(accessory.lockTimer);
+    accessory.lockTimer = null;
+
+    if (!isSecured) {
+        let duration = group.time_unlock || 5;
+        platform.log("[%s] The lock will be secured in %s sec.", accessory.displayName, duration);
+        accessory.lockTimer = setTimeout(function () {
+            platform.setLockTargetState(accessory, Characteristic.LockTargetState.SECURED, function () {});
+        }, duration * 1000);
+    }
+};
+
+eWeLink.prototype.updateLockCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source, e.g. the eWeLink app or the inching of the device
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    let group = platform.groups.get(deviceId);
+    let relayState = platform.getRelayState(accessory, state, group.relay || 1);
+    if (relayState === undefined) {
+        return;
+    }
+
+    let isSecured = relayState === 'off';
+    let currentState = accessory.getService(Service.LockMechanism).getCharacteristic(Characteristic.LockCurrentState).value;
+    if (currentState !== (isSecured ? Characteristic.LockCurrentState.SECURED : Characteristic.LockCurrentState.UNSECURED)) {
+        platform.log("[%s] The lock is %s. No request will be sent to the device.", accessory.displayName, isSecured ? 'secured' : 'unsecured');
+        platform.updateLockState(accessory, isSecured);
+    }
+};
+
+//////////////////////
+// Irrigation Stuff
+//////////////////////
+
+eWeLink.prototype.getIrrigationRelays = function (accessory) {
+    // All the channels of the device are valves, unless relays is configured
+    let group = this.groups.get(accessory.context.deviceId);
+    if (group) {
+        return this.getGroupRelays(group, accessory.context.switches);
+    }
+    let relays = [];
+    for (let i = 1; i <= Math.max(accessory.context.switches, 1); i++) {
+        relays.push(i);
+    }
+    return relays;
+};
+
+eWeLink.prototype.configureIrrigationServices = function (accessory) {
+    // Called from addAccessory() and configureAccessory()
+    let platform = this;
+    let system = accessory.getService(Service.IrrigationSystem);
+
+    system.getCharacteristic(Characteristic.ProgramMode)
+        .updateValue(Characteristic.ProgramMode.NO_PROGRAM_SCHEDULED);
+    system.getCharacteristic(Characteristic.Active)
+        .updateValue(Characteristic.Active.ACTIVE)
+        .on('set', function (value, callback) {
+            // Deactivating the system closes all the valves
+            if (value === Characteristic.Active.INACTIVE) {
+                platform.getIrrigationRelays(accessory).forEach(function (relay) {
+                    platform.setIrrigationValveState(accessory, relay, false, function () {});
+                });
+            }
+            callback();
+        });
+
+    platform.getIrrigationRelays(accessory).forEach(function (relay) {
+        let valve = accessory.getServiceByUUIDAndSubType(Service.Valve, 'valve' + relay);
+        if (!valve) {
+            return;
+        }
+        valve.getCharacteristic(Characteristic.ValveType)
+            .updateValue(Characteristic.ValveType.IRRIGATION);
+        valve.getCharacteristic(Characteristic.ServiceLabelIndex)
+            .updateValue(relay);
+        // The relay is always turned off after a duration, 5 minutes unless set in the Home app
+        if (!valve.getCharacteristic(Characteristic.SetDuration).value) {
+            valve.getCharacteristic(Characteristic.SetDuration).updateValue(300);
+        }
+        valve.getCharacteristic(Characteristic.Active)
+            .on('set', function (value, callback) {
+                platform.setIrrigationValveState(accessory, relay, value === Characteristic.Active.ACTIVE, callback);
+            });
+        valve.getCharacteristic(Characteristic.RemainingDuration)
+            .on('get', function (callback) {
+                callback(null, platform.getIrrigationRemainingDuration(accessory, relay));
+            });
+    });
+};
+
+eWeLink.prototype.setIrrigationValveState = function (accessory, relay, isOn, callback) {
+    let platform = this;
+    let valve = accessory.getServiceByUUIDAndSubType(Service.Valve, 'valve' + relay);
+    let duration = valve.getCharacteristic(Characteristic.SetDuration).value;
+
+    platform.log("[%s] %s valve %s", accessory.displayName, isOn ? 'Opening' : 'Closing', relay);
+
+    if (isOn && !(duration > 0)) {
+        platform.log("[%s] No duration is set for valve %s, it will be closed after 300 seconds.", accessory.displayName, relay);
+        duration = 300;
+        valve.getCharacteristic(Characteristic.SetDuration).updateValue(duration);
+    }
+
+    // The inching of the device turns the relay off, even if Homebridge is not running anymore
+    if (isOn) {
+        platform.setIrrigationPulse(accessory, relay, duration);
+    }
+
+    platform.setRelayState(accessory, relay, isOn, function (err) {
+        if (!err) {
+            platform.updateIrrigationValveState(accessory, relay, isOn);
+        }
+        callback(err);
+    });
+};
+
+eWeLink.prototype.setIrrigationPulse = function (accessory, relay, duration) {
+    let platform = this;
+    let options = {};
+    let deviceId = platform.getGroupDeviceId(accessory);
+    options.protocolVersion = 13;
+
+    let payload = {};
+    payload.action = 'update';
+    payload.userAgent = 'app';
+    payload.params = {};
+    let deviceInformationFromWebApi = platform.devicesFromApi.get(deviceId);
+    if (accessory.context.switches > 1) {
+        let pulses = deviceInformationFromWebApi.params.pulses;
+        if (!Array.isArray(pulses)) {
+            pulses = deviceInformationFromWebApi.params.switches.map(function (sw) {
+                return {"pulse": "off", "width": 1000, "outlet": sw.outlet};
+            });
+        }
+        pulses[relay - 1] = {"pulse": duration > 0 ? "on" : "off", "width": Math.max(duration, 1) * 1000, "outlet": relay - 1};
+        payload.params.pulses = pulses;
+        deviceInformationFromWebApi.params.pulses = pulses;
+    } else {
+        payload.params.pulse = duration > 0 ? 'on' : 'off';
+        payload.params.pulseWidth = Math.max(duration, 1) * 1000;
+    }
+    payload.apikey = '' + accessory.context.apiKey;
+    payload.deviceid = '' + deviceId;
+
+    payload.sequence = platform.getSequence();
+
+    let string = JSON.stringify(payload);
+    // platform.log( string );
+
+    platform.sendWebSocketMessage(string, function () {});
+};
+
+eWeLink.prototype.getIrrigationRemainingDuration = function (accessory, relay) {
+    let endTime = (accessory.valveEndTimes || {})[relay];
+    if (!endTime) {
+        return 0;
+    }
+    return Math.max(0, Math.round((endTime - Date.now()) / 1000));
+};
+
+eWeLink.prototype.updateIrrigationValveState = function (accessory, relay, isOn) {
+    let platform = this;
+    let valve = accessory.getServiceByUUIDAndSubType(Service.Valve, 'valve' + relay);
+
+    // Timers are not stored in the context as it is saved to the cache
+    accessory.valveEndTimes = accessory.valveEndTimes || {};
+    accessory.valveTimers = accessory.valveTimers || {};
+    let isRunning = !!accessory.valveEndTimes[relay];
+
+    valve.getCharacteristic(Characteristic.Active).updateValue(isOn ?
+        Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE);
+    valve.getCharacteristic(Characteristic.InUse).updateValue(isOn ?
+        Characteristic.InUse.IN_USE : Characteristic.InUse.NOT_IN_USE);
+
+    if (isOn && !isRunning) {
+        let duration = valve.getCharacteristic(Characteristic.SetDuration).value;
+        if (duration > 0) {
+            accessory.valveEndTimes[relay] = Date.now() + duration * 1000;
+            // The device turns the relay off by itself, this is only in case its inching is not supported
+            accessory.valveTimers[relay] = setTimeout(function () {
+                if (valve.getCharacteristic(Characteristic.Active).value === Characteristic.Active.ACTIVE) {
+                    platform.setIrrigationValveState(accessory, relay, false, function () {});
+                }
+            }, duration * 1000 + 5000);
+        }
+    } else if (!isOn && isRunning) {
+        clearTimeout(accessory.valveTimers[relay]);
+        accessory.valveEndTimes[relay] = null;
+    }
+
+    valve.getCharacteristic(Characteristic.RemainingDuration).updateValue(platform.getIrrigationRemainingDuration(accessory, relay));
+
+    let isInUse = platform.getIrrigationRelays(accessory).some(function (r) {
+        let service = accessory.getServiceByUUIDAndSubType(Service.Valve, 'valve' + r);
+        return service && service.getCharacteristic(Characteristic.InUse).value === Characteristic.InUse.IN_USE;
+    });
+    accessory.getService(Service.IrrigationSystem).getCharacteristic(Characteristic.InUse).updateValue(isInUse ?
+        Characteristic.InUse.IN_USE : Characteristic.InUse.NOT_IN_USE);
+};
+
+eWeLink.prototype.updateIrrigationCharacteristic = function (deviceId, state) {
+
+    // Used when we receive an update from an external source, e.g. the eWeLink app or the inching of the device
+
+    let platform = this;
+
+    let accessory = platform.accessories.get(deviceId);
+
+    if (!accessory) {
+        platform.log("Error updating non-exist accessory with deviceId [%s].", deviceId);
+        return;
+    }
+
+    platform.getIrrigationRelays(accessory).forEach(function (relay) {
+        let relayState = platform.getRelayState(accessory, state, relay);
+        let valve = accessory.getServiceByUUIDAndSubType(Service.Valve, 'valve' + relay);
+        if (relayState === undefined || !valve) {
+            return;
+        }
+        let isOn = relayState === 'on';
+        if (valve.getCharacteristic(Characteristic.InUse).value !== (isOn ? Characteristic.InUse.IN_USE : Characteristic.InUse.NOT_IN_USE)) {
+            platform.log("[%s] Valve %s is %s. No request will be sent to the device.", accessory.displayName, relay, isOn ? 'open' : 'closed');
+            platform.updateIrrigationValveState(accessory, relay, isOn);
+        }
+    });
+};
+
+//////////////
+// Blind Stuff
+//////////////
+
+eWeLink.prototype.getBlindRelay = function (group, relay) {
+    // A relay is either a relay number of the group device, or {deviceId, channel} for a relay of another device
+    if (relay !== null && typeof relay === 'object') {
+        return {deviceId: relay.deviceId, index: (relay.channel || 1) - 1};
+    }
+    return {deviceId: group.deviceId, index: relay - 1};
+};
+
+eWeLink.prototype.getBlindRelayState = function (deviceId, index) {
+    // Read from the device list, kept up to date by updateRelayCache()
+    if (!this.devicesFromApi.has(deviceId)) {
+        return 'off';
+    }
+    let params = this.devicesFromApi.get(deviceId).params;
+    if (Array.isArray(params.switches) && params.switches[index]) {
+        return params.switches[index].switch;
+    }
+    return params.switch;
+};
+
+eWeLink.prototype.getBlindState = function (accessory) {
+
+    let platform = this;
+    if (accessory.context.pulseRelay) {
+        // The relay of a single button motor is only on during the pulses
+        return accessory.context.currentPositionState;
+    }
+    var switch0 = 0;
+    if (platform.getBlindRelayState(accessory.context.deviceUp, accessory.context.switchUp) === 'on') {
+        switch0 = 1;
+    }
+
+    var switch1 = 0;
+    if (platform.getBlindRelayState(accessory.context.deviceDown, accessory.context.switchDown) === 'on') {
+        switch1 = 1;
+    }
+
+    let sum = (switch0 * 2) + switch1;
+
+    // this.log("Sum: ", sum);
+    // [0,0] = 0 => 2 Stopped
+    // [0,1] = 1 => 1 Moving down
+    // [1,0] = 2 => 0 Moving up
+    // [1,1] = 3 => Error
+
+    const MAPPING = {
+        0: 2,
+        1: 1,
+        2: 0,
+        3: 3
+    };
+    // this.log("Sum: %s => Blind State: %s", sum, MAPPING[sum]);
+    return MAPPING[sum];
+};
+eWeLink.prototype.getCurrentPosition = function (accessory, callback) {
+    let platform = this;
+    let lastPosition = accessory.context.lastPosition;
+    if (lastPosition === undefined) {
+        lastPosition = 0;
+    }
+    platform.log("[%s] getCurrentPosition: %s", accessory.displayName, lastPosition);
+    callback(null, lastPosition);
+};
+
+eWeLink.prototype.getPositionState = function (accessory, callback) {
+    let platform = this;
+
+    if (!platform.webClient) {
+        callback('platform.webClient not yet ready while obtaining power status for your device');
+        accessory.reachable = false;
+        return;
+    }
+
+    platform.log("Requesting power state for [%s]", accessory.displayName);
+
+    this.webClient.get('/api/user/device?' + this.getArguments(), function (err, res, body) {
+
+        if (err) {
+            platform.log("An error was encountered while requesting a list of devices while interrogating current temperature. Verify your configuration options. Error was [%s]", err);
+            return;
+        } else if (!body) {
+            platform.log("An error was encountered while requesting a list of devices while interrogating current temperature. Verify your configuration options. No data in response.", err);
+            return;
+        } else if (body.hasOwnProperty('error') && body.error != 0) {
+            platform.log("An error was encountered while requesting a list of devices while interrogating current temperature. Verify your configuration options. Response was [%s]", JSON.stringify(body));
+            callback('An error was encountered while requesting a list of devices to interrogate current temperature for your device');
+            return;
+        }
+
+        body = body.devicelist;
+
+        if (body.length < 1) {
+            callback('An error was encountered while requesting a list of devices to interrogate power status for your device');
+            accessory.reachable = false;
+            return;
+        }
+        let deviceId = accessory.context.deviceId;
+        if (accessory.context.switches > 1) {
+            deviceId = deviceId.replace("CH" + accessory.context.channel, "");
+        }
+        let filteredResponse = body.filter(device => (device.deviceid === deviceId));
+        if (filteredResponse.length === 1) {
+            let device = filteredResponse[0];
+            if (device.deviceid === deviceId) {
+                if (device.online !== true) {
+                    accessory.reachable = false;
+                    platform.log("Device [%s] was reported to be offline by the API", accessory.displayName);
+                    callback('API reported that [%s] is not online', device.name);
+                    return;
+                }
+                let switchesAmount = platform.getDeviceChannelCount(device);
+                for (let i = 0; i !== switchesAmount; i++) {
+                    if (device.params.switches[i].switch === 'on') {
+                        accessory.reachable = true;
+                        platform.log('API reported that [%s] CH %s is On', device.name, i);
+                    }
+                }
+                body.forEach(function (blindDevice) {
+                    if (blindDevice.deviceid === accessory.context.deviceUp || blindDevice.deviceid === accessory.context.deviceDown) {
+                        platform.updateRelayCache(blindDevice.deviceid, blindDevice.params);
+                    }
+                });
+                let blindState = platform.getBlindState(accessory);
+                platform.log("[%s] Requested CurrentPositionState: %s", accessory.displayName, blindState);
+                // Handling error;
+                if (blindState > 2) {
+                    blindState = 2;
+                    accessory.context.currentPositionState = 2;
+                    platform.setFinalBlindsState(accessory);
+                    platform.log("[%s] Error! Stopping!", accessory.displayName);
+                }
+                callback(null, blindState);
+            }
+        } else if (filteredResponse.length > 1) {
+            // More than one device matches our Device ID. This should not happen.
+            platform.log("ERROR: The response contained more than one device with Device ID [%s]. Filtered response follows.", device.deviceid);
+            platform.log(filteredResponse);
+            callback("The response contained more than one device with Device ID " + device.deviceid);
+
+        } else if (filteredResponse.length < 1) {
+            // The device is no longer registered
+            platform.log("Device [%s] did not exist in the response. It will be removed", accessory.displayName);
+            platform.removeAccessory(accessory);
+        }
+    });
+};
+
+eWeLink.prototype.getTargetPosition = function (accessory, callback) {
+    let platform = this;
+    let currentTargetPosition = accessory.context.currentTargetPosition;
+    platform.log("[%s] getTargetPosition: %s", accessory.displayName, currentTargetPosition);
+    callback(null, currentTargetPosition);
+};
+
+eWeLink.prototype.setTargetPosition = function (accessory, pos, callback) {
+
+    let platform = this;
+    platform.log("[%s] Setting new target position to %s, was: %s", accessory.displayName, pos, accessory.context.currentTargetPosition);
+
+    let missingDevice = platform.getMissingBlindDevice(accessory);
+    if (missingDevice) {
+        platform.log('[%s] Device [%s] was not found. No request will be sent.', accessory.displayName, missingDevice);
+        callback('Device not found');
+        return false;
+    }
+
+    let timestamp = Date.now();
+
+    if (accessory.context.tilting) {
+        platform.log("[%s] Slats are tilting. Blinds will move to %s afterwards.", accessory.displayName, pos);
+        accessory.context.pendingTargetPosition = pos;
+        callback();
+        return false;
+    }
+
+    if (accessory.context.currentPositionState != 2 && accessory.context.pendingTargetPosition !== undefined) {
+        platform.log("[%s] Blinds are recalibrating. They will move to %s afterwards.", accessory.displayName, pos);
+        accessory.context.pendingTargetPosition = pos;
+        callback();
+        return false;
+    }
+
+    if (accessory.context.currentPositionState != 2) {
+
+        var diffPosition = Math.abs(pos - accessory.context.currentTargetPosition);
         var actualPosition;
         var diffTime;
         var diff;
@@ -2442,13 +5236,15 @@ eWeLink.prototype.setTargetPosition = function (accessory, pos, callback) {
             diff = 0;
         } else {
             if (accessory.context.currentPositionState == 1) {
-                diffPosition = accessory.context.currentTargetPosition - pos;
-                diffTime = Math.round(accessory.context.percentDurationDown * diffPosition);
+                diffPosition = platform.getTravelFraction(accessory, accessory.context.currentTargetPosition) - platform.getTravelFraction(accessory, pos);
+                diffTime = Math.round(accessory.context.percentDurationDown * 100 * diffPosition);
             } else {
-                diffPosition = pos - accessory.context.currentTargetPosition;
-                diffTime = Math.round(accessory.context.percentDurationUp * diffPosition);
+                diffPosition = platform.getTravelFraction(accessory, pos) - platform.getTravelFraction(accessory, accessory.context.currentTargetPosition);
+                diffTime = Math.round(accessory.context.percentDurationUp * 100 * diffPosition);
             }
-            diff = (accessory.context.targetTimestamp - timestamp) + diffTime;
+            // The remaining travel time, the slats are turned before the blind travels
+            let travelTimestamp = accessory.context.startTimestamp + (accessory.context.tiltTime || 0);
+            diff = (accessory.context.targetTimestamp - Math.max(timestamp, travelTimestamp)) + diffTime;
             actualPosition = platform.actualPosition(accessory);
 
             // platform.log("diffPosition:", diffPosition);
@@ -2456,6 +5252,9 @@ eWeLink.prototype.setTargetPosition = function (accessory, pos, callback) {
             // platform.log("actualPosition:", actualPosition);
             // platform.log("diff:", diff);
 
+            // A new target interrupts the full travel
+            accessory.context.calibrating = false;
+
             if (diff > 0) {
                 accessory.context.targetTimestamp += diffTime;
                 // if (pos==0 || pos==100) accessory.context.targetTimestamp += accessory.context.fullOverdrive;
@@ -2466,18 +5265,23 @@ eWeLink.prototype.setTargetPosition = function (accessory, pos, callback) {
             }
             if (diff < 0) {
                 platform.log("[%s] ==> Revert Blinds moving. Current pos: %s, new targuet: %s, new duration: %s", accessory.displayName, actualPosition, pos, Math.abs(diff));
-                accessory.context.startTimestamp = timestamp;
-                accessory.context.targetTimestamp = timestamp + Math.abs(diff);
+                if (accessory.context.durationTilt) {
+                    accessory.context.tiltAngle = platform.actualTiltAngle(accessory, accessory.context.currentPositionState);
+                }
+                accessory.context.startTimestamp = timestamp + platform.getBlindStartDelay(accessory, accessory.context.currentPositionState == 0 ? 1 : 0);
+                accessory.context.tiltTime = platform.getBlindTiltTime(accessory, accessory.context.currentPositionState == 0 ? 1 : 0);
+                accessory.context.targetTimestamp = accessory.context.startTimestamp + accessory.context.tiltTime + Math.abs(diff);
                 // if (pos==0 || pos==100) accessory.context.targetTimestamp += accessory.context.fullOverdrive;
                 accessory.context.lastPosition = actualPosition;
                 accessory.context.currentTargetPosition = pos;
                 accessory.context.currentPositionState = accessory.context.currentPositionState == 0 ? 1 : 0;
+                accessory.context.moving = true;
+                platform.api.updatePlatformAccessories([accessory]);
 
-                let payload = platform.prepareBlindSwitchesPayload(accessory);
-                let string = JSON.stringify(payload);
+                let payloads = platform.prepareBlindSwitchesPayload(accessory);
 
                 if (platform.isSocketOpen) {
-                    platform.sendWebSocketMessage(string, function(){return;});
+                    platform.sendBlindPayloads(accessory, payloads);
                     platform.log("[%s] Request sent for %s", accessory.displayName, accessory.context.currentPositionState == 1 ? "moving up" : "moving down");
                     let service = accessory.getService(Service.WindowCovering);
                     service.getCharacteristic(Characteristic.CurrentPosition).updateValue(accessory.context.lastPosition);
@@ -2496,6 +5300,18 @@ eWeLink.prototype.setTargetPosition = function (accessory, pos, callback) {
         return false;
     }
 
+    if (accessory.context.positionUnknown && (pos == 0 || pos == 100)) {
+        // Moving from the other end is a full travel, after which the position is known again
+        platform.log("[%s] Position is unknown. Moving to %s with a full travel.", accessory.displayName, pos);
+        accessory.context.lastPosition = 100 - pos;
+        accessory.context.calibrating = true;
+    } else if (accessory.context.positionUnknown && accessory.context.autoRecalibration) {
+        let calibrationPosition = pos < 50 ? 0 : 100;
+        platform.log("[%s] Position is unknown. Recalibrating to %s before moving to %s.", accessory.displayName, calibrationPosition, pos);
+        accessory.context.pendingTargetPosition = pos;
+        return platform.setTargetPosition(accessory, calibrationPosition, callback);
+    }
+
     if (accessory.context.lastPosition == pos) {
         platform.log("[%s] Current position already matches target position. There is nothing to do.", accessory.displayName);
         callback();
@@ -2511,17 +5327,20 @@ eWeLink.prototype.setTargetPosition = function (accessory, pos, callback) {
     withoutmarginetimeUP = accessory.context.durationUp - accessory.context.durationBMU;
     withoutmarginetimeDOWN = accessory.context.durationDown - accessory.context.durationBMD;
 
+    // The travel curve gives the share of the travel time between two positions
+    let travelFraction = Math.abs(platform.getTravelFraction(accessory, pos) - platform.getTravelFraction(accessory, accessory.context.lastPosition));
+
     if (moveUp) {
         if (accessory.context.lastPosition == 0) {
-            duration = ((pos - accessory.context.lastPosition) / 100 * withoutmarginetimeUP) + accessory.context.durationBMU;
+            duration = (travelFraction * withoutmarginetimeUP) + accessory.context.durationBMU;
         } else {
-            duration = (pos - accessory.context.lastPosition) / 100 * withoutmarginetimeUP;
+            duration = travelFraction * withoutmarginetimeUP;
         }
     } else {
         if (pos == 0) {
-            duration = ((accessory.context.lastPosition - pos) / 100 * withoutmarginetimeDOWN) + accessory.context.durationBMD;
+            duration = (travelFraction * withoutmarginetimeDOWN) + accessory.context.durationBMD;
         } else {
-            duration = (accessory.context.lastPosition - pos) / 100 * withoutmarginetimeDOWN;
+            duration = travelFraction * withoutmarginetimeDOWN;
         }
     }
 		if (pos==0 || pos==100) duration += accessory.context.fullOverdrive;
@@ -2531,25 +5350,31 @@ eWeLink.prototype.setTargetPosition = function (accessory, pos, callback) {
 
     platform.log("[%s] %s, Duration: %s", accessory.displayName, moveUp ? "Moving up" : "Moving down", duration);
 
-    accessory.context.startTimestamp = timestamp;
-    accessory.context.targetTimestamp = timestamp + (duration * 1000);
+    // The motor starts moving after the start delay of the relay
+    accessory.context.startTimestamp = timestamp + platform.getBlindStartDelay(accessory, moveUp ? 0 : 1);
+    // The slats are fully tilted in the direction of the move before the blind travels
+    accessory.context.tiltTime = platform.getBlindTiltTime(accessory, moveUp ? 0 : 1);
+    accessory.context.targetTimestamp = accessory.context.startTimestamp + accessory.context.tiltTime + (duration * 1000);
     // if (pos==0 || pos==100) accessory.context.targetTimestamp += accessory.context.fullOverdrive;
     accessory.context.currentPositionState = (moveUp ? 0 : 1);
     accessory.getService(Service.WindowCovering).setCharacteristic(Characteristic.PositionState, (moveUp ? 0 : 1));
+    // Saving the moving state, the position is unknown if Homebridge stops before the end of the move
+    accessory.context.moving = true;
+    platform.api.updatePlatformAccessories([accessory]);
 
-    let payload = platform.prepareBlindSwitchesPayload(accessory);
-    let string = JSON.stringify(payload);
+    let payloads = platform.prepareBlindSwitchesPayload(accessory);
 
     if (platform.isSocketOpen) {
 
         setTimeout(function () {
-            platform.sendWebSocketMessage(string, function(){return;});
+            platform.sendBlindPayloads(accessory, payloads);
             platform.log("[%s] Request sent for %s", accessory.displayName, moveUp ? "moving up" : "moving down");
 
-            var interval = setInterval(function () {
+            // Not stored in the context as it is saved to the cache
+            accessory.blindTimer = setInterval(function () {
                 if (Date.now() >= accessory.context.targetTimestamp) {
                     platform.setFinalBlindsState(accessory);
-                    clearInterval(interval);
+                    clearInterval(accessory.blindTimer);
                     return true;
                 }
             }, 100);
@@ -2565,14 +5390,14 @@ eWeLink.prototype.setTargetPosition = function (accessory, pos, callback) {
 eWeLink.prototype.setFinalBlindsState = function (accessory) {
 
     let platform = this;
+    let positionState = accessory.context.currentPositionState;
     accessory.context.currentPositionState = 2;
-    let payload = platform.prepareBlindSwitchesPayload(accessory);
-    let string = JSON.stringify(payload);
+    let payloads = platform.prepareBlindSwitchesPayload(accessory);
 
     if (platform.isSocketOpen) {
 
         setTimeout(function () {
-            platform.sendWebSocketMessage(string, function(){return;});
+            platform.sendBlindPayloads(accessory, payloads);
             platform.log("[%s] Request sent to stop moving", accessory.displayName);
             accessory.context.currentPositionState = 2;
 
@@ -2584,7 +5409,34 @@ eWeLink.prototype.setFinalBlindsState = function (accessory) {
             service.getCharacteristic(Characteristic.TargetPosition).updateValue(currentTargetPosition);
             service.setCharacteristic(Characteristic.PositionState, Characteristic.PositionState.STOPPED);
 
+            if (accessory.context.durationTilt) {
+                accessory.context.tiltAngle = platform.actualTiltAngle(accessory, positionState);
+                accessory.context.tilting = false;
+                service.getCharacteristic(Characteristic.CurrentHorizontalTiltAngle).updateValue(accessory.context.tiltAngle);
+                service.getCharacteristic(Characteristic.TargetHorizontalTiltAngle).updateValue(accessory.context.tiltAngle);
+            }
+
             platform.log("[%s] Successfully moved to target position: %s", accessory.displayName, currentTargetPosition);
+
+            if (accessory.context.calibrating) {
+                platform.log("[%s] Position has been recalibrated.", accessory.displayName);
+                accessory.context.positionUnknown = false;
+                accessory.context.calibrating = false;
+            }
+            accessory.context.moving = false;
+            platform.api.updatePlatformAccessories([accessory]);
+
+            if (accessory.context.pendingTargetPosition !== undefined) {
+                let pendingTargetPosition = accessory.context.pendingTargetPosition;
+                accessory.context.pendingTargetPosition = undefined;
+                service.getCharacteristic(Characteristic.TargetPosition).updateValue(pendingTargetPosition);
+                platform.setTargetPosition(accessory, pendingTargetPosition, function () {});
+            } else if (accessory.context.pendingTiltAngle !== undefined) {
+                let pendingTiltAngle = accessory.context.pendingTiltAngle;
+                accessory.context.pendingTiltAngle = undefined;
+                service.getCharacteristic(Characteristic.TargetHorizontalTiltAngle).updateValue(pendingTiltAngle);
+                platform.setTargetTiltAngle(accessory, pendingTiltAngle, function () {});
+            }
             return true;
             // TODO Here we need to wait for the response to the socket
         }, 1);
@@ -2597,14 +5449,20 @@ eWeLink.prototype.setFinalBlindsState = function (accessory) {
 
 eWeLink.prototype.prepareBlindSwitchesPayload = function (accessory) {
 
+    // Returns a payload for each device used by the blind
+
     let platform = this;
-    let payload = {};
-    payload.action = 'update';
-    payload.userAgent = 'app';
-    payload.params = {};
-    let deviceInformationFromWebApi = platform.devicesFromApi.get(accessory.context.deviceId);
 
-    payload.params.switches = deviceInformationFromWebApi.params.switches;
+    let missingDevice = platform.getMissingBlindDevice(accessory);
+    if (missingDevice) {
+        // The device may have been removed from the account during the move
+        platform.log('[%s] Device [%s] was not found. No request will be sent.', accessory.displayName, missingDevice);
+        return [];
+    }
+
+    if (accessory.context.pulseRelay) {
+        return platform.prepareBlindPulsesPayload(accessory);
+    }
 
     // [0,0] = 0 => 2 Stopped
     // [0,1] = 1 => 1 Moving down
@@ -2634,61 +5492,450 @@ eWeLink.prototype.prepareBlindSwitchesPayload = function (accessory) {
             break;
     }
 
-    payload.params.switches[accessory.context.switchUp].switch = switch0;
-    payload.params.switches[accessory.context.switchDown].switch = switch1;
-    payload.apikey = '' + accessory.context.apiKey;
-    payload.deviceid = '' + accessory.context.deviceId;
-    payload.sequence = platform.getSequence();
-    // platform.log("Payload genretad:", JSON.stringify(payload))
-    return payload;
+    let payloads = new Map();
+    let payloadsTurningOn = new Set();
+    [
+        [accessory.context.deviceUp, accessory.context.switchUp, switch0],
+        [accessory.context.deviceDown, accessory.context.switchDown, switch1]
+    ].forEach(function (relay) {
+        let deviceId = relay[0];
+        let deviceInformationFromWebApi = platform.devicesFromApi.get(deviceId);
+        if (!payloads.has(deviceId)) {
+            let payload = {};
+            payload.action = 'update';
+            payload.userAgent = 'app';
+            payload.params = {};
+            if (Array.isArray(deviceInformationFromWebApi.params.switches)) {
+                payload.params.switches = deviceInformationFromWebApi.params.switches;
+            }
+            payload.apikey = '' + deviceInformationFromWebApi.apikey;
+            payload.deviceid = '' + deviceId;
+            payload.sequence = platform.getSequence();
+            payloads.set(deviceId, payload);
+        }
+        let payload = payloads.get(deviceId);
+        if (relay[2] === 'on') {
+            payloadsTurningOn.add(payload);
+        }
+        if (payload.params.switches) {
+            payload.params.switches[relay[1]].switch = relay[2];
+        } else {
+            payload.params.switch = relay[2];
+            deviceInformationFromWebApi.params.switch = relay[2];
+        }
+    });
+
+    // Relays are turned off first, so that both motors are never on together when the blind uses two devices
+    return Array.from(payloads.values()).sort(function (a, b) {
+        return payloadsTurningOn.has(a) - payloadsTurningOn.has(b);
+    });
+};
+
+eWeLink.prototype.getMissingBlindDevice = function (accessory) {
+    // The devices of a blind which are not in the device list
+    let platform = this;
+    return [accessory.context.deviceUp, accessory.context.deviceDown].find(function (deviceId) {
+        return !platform.devicesFromApi.has(deviceId);
+    });
+};
+
+eWeLink.prototype.configureBlindStop = function (accessory) {
+    // Called from addAccessory() and configureAccessory()
+    let platform = this;
+    let service = accessory.getService(Service.WindowCovering);
+
+    service.getCharacteristic(Characteristic.HoldPosition)
+        .on('set', function (value, callback) {
+            if (value) {
+                platform.stopBlind(accessory);
+            }
+            callback();
+        });
+
+    let stopSwitch = accessory.getServiceByUUIDAndSubType(Service.Switch, 'stop');
+    if (accessory.context.stopSwitch && !stopSwitch) {
+        stopSwitch = accessory.addService(Service.Switch, accessory.displayName + ' Stop', 'stop');
+    } else if (!accessory.context.stopSwitch && stopSwitch) {
+        accessory.removeService(stopSwitch);
+        stopSwitch = null;
+    }
+    if (stopSwitch) {
+        stopSwitch.getCharacteristic(Characteristic.On)
+            .updateValue(false)
+            .on('set', function (value, callback) {
+                // The switch is stateless, it is turned off again right after
+                if (value) {
+                    platform.stopBlind(accessory);
+                    setTimeout(function () {
+                        stopSwitch.getCharacteristic(Characteristic.On).updateValue(false);
+                    }, 1000);
+                }
+                callback();
+            });
+    }
+};
+
+eWeLink.prototype.stopBlind = function (accessory) {
+    let platform = this;
+
+    if (accessory.context.currentPositionState == 2) {
+        platform.log("[%s] Blinds are not moving. There is nothing to do.", accessory.displayName);
+        return;
+    }
+
+    let actualPosition = platform.actualPosition(accessory);
+    platform.log("[%s] Stopping blinds at position: %s", accessory.displayName, actualPosition);
+
+    clearInterval(accessory.blindTimer);
+    accessory.context.pendingTargetPosition = undefined;
+    accessory.context.pendingTiltAngle = undefined;
+    accessory.context.calibrating = false;
+    accessory.context.currentTargetPosition = actualPosition;
+    accessory.context.targetTimestamp = Date.now();
+    platform.setFinalBlindsState(accessory);
+};
+
+eWeLink.prototype.getTravelCurve = function (accessory) {
+    // Positions measured while opening at some percents of the up time, linear without measures
+    let curve = (accessory.context.travelCurve || []).filter(function (point) {
+        return point.time > 0 && point.time < 100 && point.position > 0 && point.position < 100;
+    }).sort(function (a, b) {
+        return a.time - b.time;
+    });
+    return [{time: 0, position: 0}].concat(curve, [{time: 100, position: 100}]);
+};
+
+eWeLink.prototype.getTravelFraction = function (accessory, position) {
+    // Fraction of a full travel needed to reach a position from 0
+    let curve = this.getTravelCurve(accessory);
+    position = Math.min(100, Math.max(0, position));
+    for (let i = 1; i < curve.length; i++) {
+        if (position <= curve[i].position) {
+            let ratio = (position - curve[i - 1].position) / ((curve[i].position - curve[i - 1].position) || 1);
+            return (curve[i - 1].time + ratio * (curve[i].time - curve[i - 1].time)) / 100;
+        }
+    }
+    return 1;
+};
+
+eWeLink.prototype.getTravelPosition = function (accessory, fraction) {
+    // Position reached after a fraction of a full travel from 0
+    let curve = this.getTravelCurve(accessory);
+    let time = Math.min(100, Math.max(0, fraction * 100));
+    for (let i = 1; i < curve.length; i++) {
+        if (time <= curve[i].time) {
+            let ratio = (time - curve[i - 1].time) / ((curve[i].time - curve[i - 1].time) || 1);
+            return curve[i - 1].position + ratio * (curve[i].position - curve[i - 1].position);
+        }
+    }
+    return 100;
+};
+
+eWeLink.prototype.getBlindPulseTarget = function (accessory, positionState) {
+    // The motor cycles through: 0 stopped after closing, 1 opening, 2 stopped after opening, 3 closing
+    let cycle = accessory.context.pulseCycle;
+    switch (positionState) {
+        case 0:
+            return 1;
+        case 1:
+            return 3;
+        default:
+            return cycle % 2 === 1 ? (cycle + 1) % 4 : cycle;
+    }
+};
+
+eWeLink.prototype.getBlindPulseCount = function (accessory, positionState) {
+    // Each pulse moves the motor to the next step of its cycle
+    let target = this.getBlindPulseTarget(accessory, positionState);
+    return (target - accessory.context.pulseCycle + 4) % 4;
+};
+
+eWeLink.prototype.getBlindPulseInterval = function (accessory) {
+    // Milliseconds between two pulses, the relay is turned off by the device after the pulse width (inching)
+    // and has to stay off as long for the motor to see two presses
+    return 2 * accessory.context.pulseWidth;
+};
+
+eWeLink.prototype.getBlindStartDelay = function (accessory, positionState) {
+    // Milliseconds before the motor starts moving, the motor may need to be stopped or reversed by the first pulses
+    let delay = accessory.context.startDelay * 1000;
+    if (accessory.context.pulseRelay) {
+        let pulses = (accessory.blindPulses || []).length + this.getBlindPulseCount(accessory, positionState);
+        delay += Math.max(0, pulses - 1) * this.getBlindPulseInterval(accessory);
+    }
+    return delay;
+};
+
+eWeLink.prototype.sendBlindPayloads = function (accessory, payloads) {
+    // Sends the payloads of prepareBlindSwitchesPayload()
+    let platform = this;
+    if (!accessory.context.pulseRelay) {
+        payloads.forEach(function (payload) {
+            platform.sendWebSocketMessage(JSON.stringify(payload), function(){return;});
+        });
+        return;
+    }
+    // The pulses are queued, the next pulse is sent once the relay has been turned off by the device.
+    // Not stored in the context as it is saved to the cache
+    accessory.blindPulses = (accessory.blindPulses || []).concat(payloads);
+    if (accessory.sendingPulses) {
+        return;
+    }
+    let sendPulse = function () {
+        if (accessory.blindPulses.length === 0) {
+            accessory.sendingPulses = false;
+            return;
+        }
+        platform.sendWebSocketMessage(JSON.stringify(accessory.blindPulses.shift()), function () {
+            setTimeout(sendPulse, platform.getBlindPulseInterval(accessory));
+        });
+    };
+    accessory.sendingPulses = true;
+    sendPulse();
+};
+
+eWeLink.prototype.prepareBlindPulsesPayload = function (accessory) {
+
+    // Single button motors: returns a payload turning the relay on for each pulse, the device turns it off
+
+    let platform = this;
+    let state = accessory.context.currentPositionState;
+    let pulses = platform.getBlindPulseCount(accessory, state);
+    let target = platform.getBlindPulseTarget(accessory, state);
+
+    if (state == 2 && (accessory.context.currentTargetPosition == 0 || accessory.context.currentTargetPosition == 100)) {
+        // The motor was stopped by its end stop
+        pulses = 0;
+    }
+    platform.log("[%s] Sending %s pulse(s)", accessory.displayName, pulses);
+    accessory.context.pulseCycle = target;
+
+    let deviceId = accessory.context.deviceUp;
+    let deviceInformationFromWebApi = platform.devicesFromApi.get(deviceId);
+    let payloads = [];
+    for (let i = 0; i < pulses; i++) {
+        let payload = {};
+        payload.action = 'update';
+        payload.userAgent = 'app';
+        payload.params = {};
+        if (Array.isArray(deviceInformationFromWebApi.params.switches)) {
+            // Copied as the payloads are serialized when they are sent
+            payload.params.switches = JSON.parse(JSON.stringify(deviceInformationFromWebApi.params.switches));
+            payload.params.switches[accessory.context.switchUp].switch = 'on';
+        } else {
+            payload.params.switch = 'on';
+        }
+        payload.apikey = '' + deviceInformationFromWebApi.apikey;
+        payload.deviceid = '' + deviceId;
+        payload.sequence = platform.getSequence();
+        payloads.push(payload);
+    }
+    return payloads;
 };
 
 eWeLink.prototype.actualPosition = function (accessory) {
+    let platform = this;
     let timestamp = Date.now();
+    if (accessory.context.tilting) {
+        // Only the slats are moving
+        return accessory.context.lastPosition;
+    }
+    // Nothing moves before the start delay, and while the slats are turning
+    let elapsed = Math.max(0, timestamp - accessory.context.startTimestamp - (accessory.context.tiltTime || 0));
+    let fraction = platform.getTravelFraction(accessory, accessory.context.lastPosition);
     if (accessory.context.currentPositionState == 1) {
-        return Math.round(accessory.context.lastPosition - ((timestamp - accessory.context.startTimestamp) / accessory.context.percentDurationDown));
+        return Math.round(platform.getTravelPosition(accessory, fraction - (elapsed / (accessory.context.percentDurationDown * 100))));
     } else if (accessory.context.currentPositionState == 0) {
-        return Math.round(accessory.context.lastPosition + ((timestamp - accessory.context.startTimestamp) / accessory.context.percentDurationUp));
+        return Math.round(platform.getTravelPosition(accessory, fraction + (elapsed / (accessory.context.percentDurationUp * 100))));
     } else {
         return accessory.context.lastPosition;
     }
 };
 
+eWeLink.prototype.configureBlindTilt = function (accessory) {
+    // Called from addAccessory() and configureAccessory(), only for venetian blinds
+    let platform = this;
+    if (!accessory.context.durationTilt) {
+        return;
+    }
+    if (accessory.context.tiltAngle === undefined) {
+        accessory.context.tiltAngle = 90;
+    }
+    accessory.context.tilting = false;
+    accessory.context.pendingTiltAngle = undefined;
+
+    let service = accessory.getService(Service.WindowCovering);
+    service.getCharacteristic(Characteristic.CurrentHorizontalTiltAngle)
+        .updateValue(accessory.context.tiltAngle);
+    service.getCharacteristic(Characteristic.TargetHorizontalTiltAngle)
+        .updateValue(accessory.context.tiltAngle)
+        .on('set', function (value, callback) {
+            platform.setTargetTiltAngle(accessory, value, callback);
+        });
+};
+
+eWeLink.prototype.setTargetTiltAngle = function (accessory, angle, callback) {
+
+    // The slats are tilted by moving the blind for a fraction of the tilt time, -90 being fully tilted down
+
+    let platform = this;
+    platform.log("[%s] Setting new target tilt angle to %s, was: %s", accessory.displayName, angle, accessory.context.tiltAngle);
+
+    let missingDevice = platform.getMissingBlindDevice(accessory);
+    if (missingDevice) {
+        platform.log('[%s] Device [%s] was not found. No request will be sent.', accessory.displayName, missingDevice);
+        callback('Device not found');
+        return false;
+    }
+
+    if (accessory.context.currentPositionState != 2) {
+        platform.log("[%s] Blinds are moving. Slats will be tilted afterwards.", accessory.displayName);
+        accessory.context.pendingTiltAngle = angle;
+        callback();
+        return false;
+    }
+
+    if (accessory.context.tiltAngle == angle) {
+        platform.log("[%s] Current tilt angle already matches target tilt angle. There is nothing to do.", accessory.displayName);
+        callback();
+        return true;
+    }
+
+    let tiltUp = angle > accessory.context.tiltAngle;
+    let duration = Math.abs(angle - accessory.context.tiltAngle) / 180 * accessory.context.durationTilt;
+    duration = Math.round(duration * 100) / 100;
+
+    platform.log("[%s] %s, Duration: %s", accessory.displayName, tiltUp ? "Tilting up" : "Tilting down", duration);
+
+    let timestamp = Date.now();
+    accessory.context.tilting = true;
+    accessory.context.tiltTime = 0;
+    accessory.context.startTimestamp = timestamp + platform.getBlindStartDelay(accessory, tiltUp ? 0 : 1);
+    accessory.context.targetTimestamp = accessory.context.startTimestamp + (duration * 1000);
+    accessory.context.currentPositionState = (tiltUp ? 0 : 1);
+
+    let payloads = platform.prepareBlindSwitchesPayload(accessory);
+
+    if (platform.isSocketOpen) {
+
+        setTimeout(function () {
+            platform.sendBlindPayloads(accessory, payloads);
+            platform.log("[%s] Request sent for %s", accessory.displayName, tiltUp ? "tilting up" : "tilting down");
+
+            // Not stored in the context as it is saved to the cache
+            accessory.blindTimer = setInterval(function () {
+                if (Date.now() >= accessory.context.targetTimestamp) {
+                    platform.setFinalBlindsState(accessory);
+                    clearInterval(accessory.blindTimer);
+                    return true;
+                }
+            }, 100);
+            callback();
+        }, 1);
+    } else {
+        accessory.context.tilting = false;
+        accessory.context.currentPositionState = 2;
+        platform.log('Socket was closed. It will reconnect automatically; please retry your command');
+        callback('Socket was closed. It will reconnect automatically; please retry your command');
+        return false;
+    }
+};
+
+eWeLink.prototype.getBlindTiltTime = function (accessory, positionState) {
+    // Milliseconds needed to fully tilt the slats in the direction of a move
+    if (!accessory.context.durationTilt) {
+        return 0;
+    }
+    let angle = positionState == 0 ? 90 - accessory.context.tiltAngle : accessory.context.tiltAngle + 90;
+    return Math.round(angle / 180 * accessory.context.durationTilt * 1000);
+};
+
+eWeLink.prototype.actualTiltAngle = function (accessory, positionState) {
+    // The slats turn at the start of every move, until they are fully tilted in the direction of the move
+    let elapsed = Math.max(0, Math.min(Date.now(), accessory.context.targetTimestamp) - accessory.context.startTimestamp);
+    let tilt = elapsed / (accessory.context.durationTilt * 1000) * 180;
+    if (positionState == 0) {
+        return Math.round(Math.min(90, accessory.context.tiltAngle + tilt));
+    } else if (positionState == 1) {
+        return Math.round(Math.max(-90, accessory.context.tiltAngle - tilt));
+    }
+    return accessory.context.tiltAngle;
+};
+
 eWeLink.prototype.initSwitchesConfig = function (accessory) {
     // This method is called from addAccessory() and checkIfDeviceIsAlreadyConfigured().
     // Don't called from configureAccessory() because we need to be connected to the socket.
     let platform = this;
-    let payload = {};
-    payload.action = 'update';
-    payload.userAgent = 'app';
-    payload.params = {
-        "lock": 0,
-        "zyx_clear_timers": false,
-        "configure": [
-            {"startup": "off", "outlet": 0},
-            {"startup": "off", "outlet": 1},
-            {"startup": "off", "outlet": 2},
-            {"startup": "off", "outlet": 3}
-        ],
-        "pulses": [
-            {"pulse": "off", "width": 1000, "outlet": 0},
-            {"pulse": "off", "width": 1000, "outlet": 1},
-            {"pulse": "off", "width": 1000, "outlet": 2},
-            {"pulse": "off", "width": 1000, "outlet": 3}
-        ],
-        "switches": [
-            {"switch": "off", "outlet": 0},
-            {"switch": "off", "outlet": 1},
-            {"switch": "off", "outlet": 2},
-            {"switch": "off", "outlet": 3}
-        ]
-    };
+    let strings = [];
 
-    payload.apikey = '' + accessory.context.apiKey;
-    payload.deviceid = '' + accessory.context.deviceId;
-    payload.sequence = platform.getSequence();
+    [accessory.context.deviceUp, accessory.context.deviceDown].forEach(function (deviceId, index, deviceIds) {
+        if (deviceIds.indexOf(deviceId) !== index) {
+            return;
+        }
+        let params = platform.devicesFromApi.has(deviceId) ? platform.devicesFromApi.get(deviceId).params : {};
+
+        let payload = {};
+        payload.action = 'update';
+        payload.userAgent = 'app';
+        if (!Array.isArray(params.switches)) {
+            // Single channel device
+            payload.params = {
+                "startup": "off",
+                "pulse": "off",
+                "switch": "off"
+            };
+            if (accessory.context.pulseRelay) {
+                // The device turns the relay of a single button motor off after each pulse
+                payload.params.pulse = "on";
+                payload.params.pulseWidth = accessory.context.pulseWidth;
+            }
+        } else {
+            payload.params = {
+                "lock": 0,
+                "zyx_clear_timers": false,
+                "configure": [
+                    {"startup": "off", "outlet": 0},
+                    {"startup": "off", "outlet": 1},
+                    {"startup": "off", "outlet": 2},
+                    {"startup": "off", "outlet": 3}
+                ],
+                "pulses": [
+                    {"pulse": "off", "width": 1000, "outlet": 0},
+                    {"pulse": "off", "width": 1000, "outlet": 1},
+                    {"pulse": "off", "width": 1000, "outlet": 2},
+                    {"pulse": "off", "width": 1000, "outlet": 3}
+                ],
+                "switches": [
+                    {"switch": "off", "outlet": 0},
+                    {"switch": "off", "outlet": 1},
+                    {"switch": "off", "outlet": 2},
+                    {"switch": "off", "outlet": 3}
+                ]
+            };
+
+            // The other relays of the device may belong to another group, their config is kept
+            ['configure', 'pulses', 'switches'].forEach(function (name) {
+                if (Array.isArray(params[name]) && params[name].length === payload.params[name].length) {
+                    payload.params[name] = params[name].map(function (entry, outlet) {
+                        let isBlindRelay = (deviceId === accessory.context.deviceUp && outlet === accessory.context.switchUp) ||
+                            (deviceId === accessory.context.deviceDown && outlet === accessory.context.switchDown);
+                        return isBlindRelay ? payload.params[name][outlet] : entry;
+                    });
+                }
+            });
+            if (accessory.context.pulseRelay) {
+                // The device turns the relay of a single button motor off after each pulse
+                payload.params.pulses[accessory.context.switchUp] = {"pulse": "on", "width": accessory.context.pulseWidth, "outlet": accessory.context.switchUp};
+            }
+        }
 
-    let string = JSON.stringify(payload);
+        // The devices of a blind can belong to different API keys
+        payload.apikey = '' + (platform.devicesFromApi.has(deviceId) ? platform.devicesFromApi.get(deviceId).apikey : accessory.context.apiKey);
+        payload.deviceid = '' + deviceId;
+        payload.sequence = platform.getSequence();
+
+        strings.push(JSON.stringify(payload));
+    });
 
     // Delaying execution to be sure Socket is open
     platform.log("[%s] Waiting 5 sec before sending init config request...", accessory.displayName);
@@ -2697,7 +5944,9 @@ eWeLink.prototype.initSwitchesConfig = function (accessory) {
         if (platform.isSocketOpen) {
 
             setTimeout(function () {
-                platform.wsc.send(string);
+                strings.forEach(function (string) {
+                    platform.wsc.send(string);
+                });
                 platform.log("[%s] Request sent to configure switches", accessory.displayName);
                 return true;
                 // TODO Here we need to wait for the response to the socket